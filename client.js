@@ -5,10 +5,23 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import TelegramBot from 'node-telegram-bot-api';
 import { createOpencodeClient } from '@opencode-ai/sdk/client';
-import OpenAI from 'openai';
 import fs from 'fs';
 import os from 'os';
+import crypto from 'crypto';
 import { execSync, spawn } from 'child_process';
+import { createTwoFilesPatch } from 'diff';
+import { createStateStore } from './lib/state-store.js';
+import { createTranscriber } from './lib/transcription.js';
+import { createSynthesizer, prepareTextForSpeech } from './lib/text-to-speech.js';
+import { escapeHtml, formatMarkdownChunks, markdownToTelegramHtml } from './lib/telegram-format.js';
+import { createPromptQueue, QueueFullError, QueueCancelledError } from './lib/prompt-queue.js';
+import { installSendLayer } from './lib/telegram-sender.js';
+import { createRequestAuth, parseApiTokens } from './lib/request-auth.js';
+import { validateInitData } from './lib/telegram-webapp.js';
+import { createApiSessionAccess } from './lib/api-sessions.js';
+import { createMetrics } from './lib/metrics.js';
+import { runCommand } from './lib/run-command.js';
+import { createLogger, withLogContext, newCorrelationId } from './lib/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,6 +29,36 @@ const __dirname = path.dirname(__filename);
 // Load .env file fresh (override any cached values)
 dotenv.config({ path: path.join(__dirname, '.env'), override: true });
 
+// Structured logging (see lib/logger.js); LOG_LEVEL=debug shows each step of media handling
+let log;
+try {
+    log = createLogger({
+        level: process.env.LOG_LEVEL || 'info',
+        format: process.env.LOG_FORMAT || 'text',
+        redact: process.env.LOG_REDACT !== 'false',
+        component: 'bot'
+    });
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+const syncLog = log.child('sync');
+const eventsLog = log.child('events');
+const accessLog = log.child('access');
+const messageLog = log.child('message');
+const voiceLog = log.child('voice');
+const photoLog = log.child('photo');
+const videoLog = log.child('video');
+const documentLog = log.child('document');
+const permissionLog = log.child('permission');
+const streamLog = log.child('stream');
+const sendLog = log.child('send');
+const webhookLog = log.child('webhook');
+const miniAppLog = log.child('miniapp');
+const apiLog = log.child('api');
+const authLog = log.child('auth');
+const promptLog = log.child('prompt');
+
 const app = express();
 
 // OpenCode client - connects to running server
@@ -24,26 +67,132 @@ const opencode = createOpencodeClient({
     timeout: 600000 // 10 minutes timeout for long operations
 });
 
-console.log(`OpenCode client connecting to http://${process.env.OPENCODE_HOST || '127.0.0.1'}:${process.env.OPENCODE_PORT || 4096}`);
+log.info(`OpenCode client connecting to http://${process.env.OPENCODE_HOST || '127.0.0.1'}:${process.env.OPENCODE_PORT || 4096}`);
+
+// ============================================
+// Metrics
+// ============================================
+
+// Prometheus metrics, served on /metrics (see lib/metrics.js); the gauges are defined next to the route
+const metrics = createMetrics({ prefix: 'opentelegram_' });
+const promptsTotal = metrics.counter('prompts_total', 'Prompts sent to OpenCode, by input type', ['type']);
+const promptDuration = metrics.histogram('prompt_duration_seconds', 'Time from sending a prompt to OpenCode until its reply, by input type and outcome', ['type', 'outcome']);
+const promptTimeouts = metrics.counter('prompt_timeouts_total', 'Prompts that got no events from OpenCode for too long', ['type']);
+const opencodeErrors = metrics.counter('opencode_errors_total', 'Prompts that failed with an OpenCode error, by input type', ['type']);
+const telegramSendFailures = metrics.counter('telegram_send_failures_total', 'Bot API requests the send layer gave up on, by method', ['method']);
+const telegramRateLimited = metrics.counter('telegram_rate_limited_total', 'Bot API requests answered with 429 Too Many Requests, by method', ['method']);
+const transcriptionDuration = metrics.histogram('transcription_duration_seconds', 'Time to transcribe a voice or audio message, by provider and outcome', ['provider', 'outcome']);
+const ffmpegDuration = metrics.histogram('ffmpeg_duration_seconds', 'Time to extract frames from a video with ffmpeg, by outcome', ['outcome']);
+const eventStreamReconnects = metrics.counter('event_stream_reconnects_total', 'Reconnects to the OpenCode event stream, by reason', ['reason']);
+
+// Counts and times a prompt that doesn't go through streamWithProgress (HTTP API)
+async function observePrompt(type, send) {
+    promptsTotal.inc({ type });
+    const observeDuration = promptDuration.startTimer({ type });
+    try {
+        const result = await send();
+        if (result?.error) opencodeErrors.inc({ type });
+        observeDuration({ outcome: result?.error ? 'error' : 'ok' });
+        return result;
+    } catch (error) {
+        opencodeErrors.inc({ type });
+        observeDuration({ outcome: 'error' });
+        throw error;
+    }
+}
 
-// Telegram bot setup (polling mode for receiving messages)
+// Telegram bot setup - long polling by default, or updates posted to the Express app (TELEGRAM_MODE=webhook)
+const TELEGRAM_MODE = process.env.TELEGRAM_MODE || 'polling';
+if (!['polling', 'webhook'].includes(TELEGRAM_MODE)) {
+    log.error(`Unknown TELEGRAM_MODE "${TELEGRAM_MODE}" (use polling or webhook)`);
+    process.exit(1);
+}
 let telegramBot = null;
 if (process.env.TELEGRAM_BOT_TOKEN) {
-    telegramBot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
-    console.log('Telegram bot initialized with polling');
+    telegramBot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: TELEGRAM_MODE === 'polling' });
+    log.info(`Telegram bot initialized with ${TELEGRAM_MODE}`);
+}
+
+// Each update gets a correlation ID in the logs that follows it through transcription, prompting and the reply
+if (telegramBot) {
+    const processUpdate = telegramBot.processUpdate.bind(telegramBot);
+    telegramBot.processUpdate = (update) => {
+        const message = update.message || update.edited_message || update.callback_query?.message;
+        return withLogContext({ cid: newCorrelationId(), chatId: message?.chat?.id }, () => processUpdate(update));
+    };
+}
+
+// Every outgoing Bot API call is rate limited and retried (see lib/telegram-sender.js)
+let sendLayer = null;
+if (telegramBot) {
+    sendLayer = installSendLayer(telegramBot, {
+        globalPerSecond: parseInt(process.env.TELEGRAM_RATE_GLOBAL_PER_SECOND) || 30,
+        privatePerMinute: parseInt(process.env.TELEGRAM_RATE_PRIVATE_PER_MINUTE) || 60,
+        groupPerMinute: parseInt(process.env.TELEGRAM_RATE_GROUP_PER_MINUTE) || 20,
+        onFailure: reportDeliveryFailure,
+        onRateLimited: ({ method }) => telegramRateLimited.inc({ method }),
+        log: sendLog
+    });
+}
+
+// Requests the send layer gave up on (most recent last), served by /api/delivery-failures
+const deliveryFailures = [];
+const DELIVERY_NOTICE_METHODS = new Set(['sendMessage', 'sendDocument', 'sendPhoto', 'sendVoice', 'editMessageText']);
+// Chats a delivery notice is being sent to (a failing notice must not trigger another one)
+const chatsBeingNotified = new Set();
+
+function reportDeliveryFailure({ method, chatId, threadId, attempts, error }) {
+    sendLog.error(`Gave up on ${method} after ${attempts} attempt(s)`, { method, chatId, error });
+    telegramSendFailures.inc({ method });
+    deliveryFailures.push({ method, chatId: chatId ?? null, error: error.message, time: new Date().toISOString() });
+    if (deliveryFailures.length > 50) deliveryFailures.shift();
+    
+    // Tell the chat something is missing, unless the bot can't post there at all (403)
+    if (!DELIVERY_NOTICE_METHODS.has(method) || chatId === undefined || error.response?.statusCode === 403) return;
+    if (chatsBeingNotified.has(String(chatId))) return;
+    chatsBeingNotified.add(String(chatId));
+    telegramBot.sendMessage(chatId,
+        `⚠️ Telegram kept rejecting a message (${error.message}), so part of a reply may be missing. ` +
+        `Use /sessions and Preview to see the latest reply.`,
+        threadId ? { message_thread_id: threadId } : {}
+    ).catch(() => {}).finally(() => chatsBeingNotified.delete(String(chatId)));
+}
+
+// Speech-to-text for voice and audio prompts (OpenAI, OpenAI-compatible server or local whisper binary)
+let transcriber = null;
+try {
+    transcriber = createTranscriber(process.env);
+    log.info(transcriber ? `Voice transcription via ${transcriber.name}` : 'Voice transcription not configured');
+} catch (error) {
+    log.error('Voice transcription disabled', { error });
 }
 
-// OpenAI client for Whisper voice transcription
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+// Text-to-speech for voice replies (OpenAI, OpenAI-compatible server or a local engine like piper)
+let synthesizer = null;
+try {
+    synthesizer = createSynthesizer(process.env);
+    log.info(synthesizer ? `Voice replies via ${synthesizer.name}` : 'Voice replies not configured');
+} catch (error) {
+    log.error('Voice replies disabled', { error });
+}
+
+// Persistent state store (survives restarts, see lib/state-store.js)
+const STATE_BACKEND = process.env.STATE_BACKEND || 'json';
+const stateStore = await createStateStore({
+    backend: STATE_BACKEND,
+    path: process.env.STATE_PATH || path.join(__dirname, 'data', STATE_BACKEND === 'sqlite' ? 'state.db' : 'state.json'),
+    log: log.child('state')
 });
 
 // Store active sessions (chatId -> sessionId mapping)
-const userSessions = new Map();
+const userSessions = stateStore.map('userSessions');
 
 // Store user model preferences (userId -> modelId mapping)
 // Keyed by USER ID so model selection persists across different chats (private, groups, etc.)
-const userModels = new Map();
+const userModels = stateStore.map('userModels');
+
+// Store per-chat preferences (chatId -> { tools, ... })
+const chatSettings = stateStore.map('chatSettings');
 
 // Store models temporarily for callback lookups (indexed)
 let modelIndex = new Map();
@@ -55,56 +204,42 @@ const botStartTime = Math.floor(Date.now() / 1000);
 // OpenCode Sync - Session/Topic Mappings
 // ============================================
 // Maps OpenCode sessionId -> Telegram topicId (message_thread_id)
-const sessionToTopic = new Map();
+const sessionToTopic = stateStore.map('sessionToTopic');
 // Maps Telegram topicId -> OpenCode sessionId  
-const topicToSession = new Map();
+const topicToSession = stateStore.map('topicToSession');
 // Sync group ID (supergroup with forum topics enabled)
 const SYNC_GROUP_ID = process.env.TELEGRAM_SYNC_GROUP_ID || process.env.TELEGRAM_GROUP_ID;
-// Track last posted content to avoid duplicates (sessionId -> { userContent, assistantContent })
-const lastPostedContent = new Map();
+// Last message posted to each session's sync topic (sessionId -> OpenCode message ID, '' = nothing yet)
+const syncCursors = stateStore.map('syncCursors');
 // Track sessions initiated from Telegram (these should NOT be synced back to Telegram)
-const telegramInitiatedSessions = new Set();
+const telegramInitiatedSessions = stateStore.set('telegramInitiatedSessions');
+// Directory each known session lives in (sessionId -> directory), so requests reach the right OpenCode instance
+const sessionDirectories = stateStore.map('sessionDirectories');
 // Track sessions that have an active topic (to avoid creating duplicates after restart)
 // This is populated when we receive a message in a synced topic
-const sessionsWithTopics = new Set();
+const sessionsWithTopics = stateStore.set('sessionsWithTopics');
+// Lifecycle of each sync topic (sessionId -> { title, closed, deleted, createdAt, lastActivityAt, messageCount })
+const syncTopics = stateStore.map('syncTopics');
 
-// Parse allowed users whitelist from environment
-const allowedUsers = process.env.TELEGRAM_ALLOWED_USERS
-    ? process.env.TELEGRAM_ALLOWED_USERS.split(',').map(id => id.trim()).filter(id => id && id !== '0')
-    : [];
+// Authorized users and their roles (userId -> { role, addedBy, addedAt }), managed with /allow, /revoke and /role
+const userRoles = stateStore.map('userRoles');
+// Everyone who has talked to the bot (userId -> { username, name }), so /allow @username can be resolved
+const knownUsers = stateStore.map('knownUsers');
+// Open "Request access" requests (userId -> { chatId, requestedAt, adminMessages: [[chatId, messageId]] })
+const accessRequests = stateStore.map('accessRequests');
 
-if (allowedUsers.length > 0) {
-    console.log(`User whitelist enabled: ${allowedUsers.length} user(s) allowed`);
-} else {
-    console.log('No users in whitelist - first user to message will become admin');
+// TELEGRAM_ALLOWED_USERS seeds the roles on first start: the first ID becomes owner, the rest admins
+if (userRoles.size === 0 && process.env.TELEGRAM_ALLOWED_USERS) {
+    const seedUsers = process.env.TELEGRAM_ALLOWED_USERS.split(',').map(id => id.trim()).filter(id => id && id !== '0');
+    seedUsers.forEach((id, index) => {
+        userRoles.set(id, { role: index === 0 ? 'owner' : 'admin', addedBy: 'env', addedAt: Date.now() });
+    });
 }
 
-// Add user to .env file and exit (for first-time setup)
-function addUserToEnvAndExit(userId) {
-    const envPath = path.join(__dirname, '.env');
-    let envContent = '';
-    
-    // Read existing .env if it exists
-    if (fs.existsSync(envPath)) {
-        envContent = fs.readFileSync(envPath, 'utf8');
-    }
-    
-    // Check if TELEGRAM_ALLOWED_USERS already exists (not commented out)
-    const envVarRegex = /^TELEGRAM_ALLOWED_USERS=.*$/m;
-    if (envVarRegex.test(envContent)) {
-        // Replace the existing line
-        envContent = envContent.replace(
-            envVarRegex,
-            `TELEGRAM_ALLOWED_USERS=${userId}`
-        );
-    } else {
-        // Append to the file
-        envContent += `\n# User whitelist - only these user IDs can use the bot\nTELEGRAM_ALLOWED_USERS=${userId}\n`;
-    }
-    
-    fs.writeFileSync(envPath, envContent);
-    console.log(`Added user ${userId} to .env as admin. Exiting for restart...`);
-    process.exit(0);
+if (userRoles.size > 0) {
+    accessLog.info(`User access control enabled: ${userRoles.size} user(s) allowed`);
+} else {
+    accessLog.info('No users allowed yet - first user to message will become owner');
 }
 
 // ============================================
@@ -142,43 +277,76 @@ function splitMessage(text, maxLength = 4000) {
     return parts;
 }
 
+// True when Telegram rejected a message because of its formatting
+function isParseError(error) {
+    return error.response?.statusCode === 400 && /parse entities|can't find end tag|unsupported start tag|unclosed/i.test(error.message);
+}
+
+/**
+ * Send Markdown (AI output) as Telegram HTML, split into as many messages as needed
+ * Code blocks cut by a split are reopened in the next message; a chunk Telegram still
+ * rejects is sent again as plain text
+ */
+async function sendFormattedMessage(chatId, markdown, options = {}) {
+    const sent = [];
+    for (const chunk of formatMarkdownChunks(markdown, 3900)) {
+        try {
+            sent.push(await telegramBot.sendMessage(chatId, chunk.html, { ...options, parse_mode: 'HTML' }));
+        } catch (error) {
+            if (!isParseError(error)) throw error;
+            sendLog.warn('Telegram rejected formatted message, sending plain text', { error });
+            sent.push(await telegramBot.sendMessage(chatId, chunk.text, options));
+        }
+    }
+    return sent;
+}
+
 // Create a forum topic in the sync group for an OpenCode session
 async function createSyncTopic(sessionId, title, directory) {
     if (!SYNC_GROUP_ID || !telegramBot) {
-        console.error('Cannot create sync topic: sync group not configured');
+        syncLog.error('Cannot create sync topic: sync group not configured');
         return null;
     }
     
     try {
-        console.log(`[SYNC] Creating topic "${title}" in group ${SYNC_GROUP_ID}`);
+        syncLog.debug('Creating topic', { title, groupId: SYNC_GROUP_ID });
         
         // Create forum topic
         const topic = await telegramBot.createForumTopic(SYNC_GROUP_ID, title.slice(0, 128));
         const topicId = topic.message_thread_id;
         
-        console.log(`[SYNC] Created topic with ID: ${topicId}`);
+        syncLog.debug('Created topic', { topicId });
         
         // Send intro message
         await telegramBot.sendMessage(SYNC_GROUP_ID, 
-            `*OpenCode Session*\n\n` +
-            `Session: \`${sessionId.slice(0, 8)}...\`\n` +
-            `Directory: \`${directory || 'unknown'}\`\n\n` +
-            `_Reply to this thread to send messages to OpenCode_`,
+            `<b>OpenCode Session</b>\n\n` +
+            `Session: <code>${escapeHtml(sessionId.slice(0, 8))}...</code>\n` +
+            `Project: <code>${escapeHtml(describeDirectory(directory))}</code>\n\n` +
+            `<i>Reply to this thread to send messages to OpenCode</i>`,
             { 
                 message_thread_id: topicId,
-                parse_mode: 'Markdown'
+                parse_mode: 'HTML'
             }
         );
         
-        // Store mappings
+        // Store mappings; the new topic gets the whole session from the start
         sessionToTopic.set(sessionId, topicId);
         topicToSession.set(topicId, sessionId);
         sessionsWithTopics.add(sessionId);
+        syncCursors.set(sessionId, '');
+        syncTopics.set(sessionId, {
+            title: title.slice(0, 128),
+            closed: false,
+            deleted: false,
+            createdAt: Date.now(),
+            lastActivityAt: Date.now(),
+            messageCount: 0
+        });
         
-        console.log(`[SYNC] Created sync topic: ${title} (${topicId}) for session ${sessionId.slice(0, 8)}`);
+        syncLog.info('Created sync topic', { title, topicId, sessionId });
         return { topicId, title };
     } catch (error) {
-        console.error('[SYNC] Failed to create sync topic:', error.message);
+        syncLog.error('Failed to create sync topic', { error });
         return null;
     }
 }
@@ -186,42 +354,24 @@ async function createSyncTopic(sessionId, title, directory) {
 // Post a message exchange to a sync topic
 async function postToSyncTopic(topicId, userContent, assistantContent) {
     if (!SYNC_GROUP_ID || !telegramBot) {
-        console.error('Cannot post to sync topic: sync group not configured');
+        syncLog.error('Cannot post to sync topic: sync group not configured');
         return false;
     }
     
     try {
         // Format user message
         if (userContent) {
-            const userParts = splitMessage(userContent, 3900);
-            for (let i = 0; i < userParts.length; i++) {
-                const content = i === 0 
-                    ? `*User:*\n${userParts[i]}`
-                    : userParts[i];
-                await telegramBot.sendMessage(SYNC_GROUP_ID, content, {
-                    message_thread_id: topicId,
-                    parse_mode: 'Markdown'
-                });
-            }
+            await sendFormattedMessage(SYNC_GROUP_ID, `**User:**\n${userContent}`, { message_thread_id: topicId });
         }
         
         // Format assistant message
         if (assistantContent) {
-            const assistantParts = splitMessage(assistantContent, 3900);
-            for (let i = 0; i < assistantParts.length; i++) {
-                const content = i === 0
-                    ? `*Assistant:*\n${assistantParts[i]}`
-                    : assistantParts[i];
-                await telegramBot.sendMessage(SYNC_GROUP_ID, content, {
-                    message_thread_id: topicId,
-                    parse_mode: 'Markdown'
-                });
-            }
+            await sendFormattedMessage(SYNC_GROUP_ID, `**Assistant:**\n${assistantContent}`, { message_thread_id: topicId });
         }
         
         return true;
     } catch (error) {
-        console.error('[SYNC] Failed to post to sync topic:', error.message);
+        syncLog.error('Failed to post to sync topic', { topicId, error });
         return false;
     }
 }
@@ -230,18 +380,32 @@ async function postToSyncTopic(topicId, userContent, assistantContent) {
 async function handleSyncTopicReply(topicId, msg, content) {
     const sessionId = topicToSession.get(topicId);
     if (!sessionId) {
-        console.error('[SYNC] No session found for topic:', topicId);
+        syncLog.warn('No session found for topic', { topicId });
+        return;
+    }
+    
+    const chatId = msg.chat.id;
+    if (syncTopics.get(sessionId)?.deleted) {
+        await telegramBot.sendMessage(chatId, 'This session was deleted in OpenCode, replies here go nowhere.', {
+            message_thread_id: topicId,
+            reply_to_message_id: msg.message_id
+        });
         return;
     }
+    await reopenSyncTopic(sessionId);
     
     // Mark this session as having an active topic (prevents duplicate topic creation)
     sessionsWithTopics.add(sessionId);
-    // Also mark as Telegram-initiated to prevent sync-back
-    telegramInitiatedSessions.add(sessionId);
+    if (!sessionToTopic.has(sessionId)) {
+        sessionToTopic.set(sessionId, topicId);
+    }
+    touchSyncTopic(sessionId);
     
-    const chatId = msg.chat.id;
-    console.log(`[SYNC] Forwarding topic reply to OpenCode session ${sessionId.slice(0, 8)}: "${content.slice(0, 50)}..."`);
+    syncLog.info('Forwarding topic reply to OpenCode', { sessionId, text: content });
     
+    // The reply and its answer show up in the topic as they happen, so terminal sync holds off
+    // until they're done and then skips past them
+    topicPromptsInFlight.set(sessionId, (topicPromptsInFlight.get(sessionId) || 0) + 1);
     try {
         // Set processing reaction instead of sending a message
         try {
@@ -250,6 +414,11 @@ async function handleSyncTopicReply(topicId, msg, content) {
             });
         } catch (e) { /* ignore reaction errors */ }
         
+        // Post terminal messages that haven't been synced yet before the answer starts streaming
+        await syncSession(sessionId).catch(error => {
+            syncLog.error('Failed to catch up session', { sessionId, error });
+        });
+        
         // Send typing indicator
         await telegramBot.sendChatAction(chatId, 'typing');
         
@@ -265,70 +434,191 @@ async function handleSyncTopicReply(topicId, msg, content) {
             [{ type: 'text', text: content }], 
             modelObj,
             null,  // No progress message - using reaction
-            topicId
+            topicId,
+            { messageId: msg.message_id, inputType: 'sync' }
         );
         
-        console.log(`[SYNC] Got response from OpenCode for topic reply`);
+        syncLog.debug('Got response from OpenCode for topic reply', { sessionId });
         
-        // Update reaction to show completion
-        try {
-            await telegramBot.setMessageReaction(chatId, msg.message_id, {
-                reaction: [{ type: 'emoji', emoji: '✅' }]
-            });
-        } catch (e) { /* ignore reaction errors */ }
+        // Update reaction to show completion (on timeout/stop streamWithProgress already set it)
+        if (response !== null) {
+            try {
+                await telegramBot.setMessageReaction(chatId, msg.message_id, {
+                    reaction: [{ type: 'emoji', emoji: '✅' }]
+                });
+            } catch (e) { /* ignore reaction errors */ }
+        }
         
         // Extract response text
-        let responseText = '';
-        if (response && response.parts) {
-            responseText = response.parts
-                .filter(p => p.type === 'text')
-                .map(p => p.text)
-                .join('\n');
-        } else if (response && response.content) {
-            if (typeof response.content === 'string') {
-                responseText = response.content;
-            } else if (Array.isArray(response.content)) {
-                responseText = response.content
-                    .filter(p => p.type === 'text')
-                    .map(p => p.text)
-                    .join('\n');
-            }
-        }
+        const responseText = getResponseText(response);
         
         // Post the response to the topic (without "Assistant:" prefix for cleaner look)
-        if (responseText) {
-            const responseParts = splitMessage(responseText, 3900);
-            for (const part of responseParts) {
-                await telegramBot.sendMessage(chatId, part, {
-                    message_thread_id: topicId
-                });
-            }
+        if (streamedResponses.has(response)) {
+            // Already posted to the topic by live streaming
+        } else if (responseText) {
+            await sendFormattedMessage(chatId, responseText, { message_thread_id: topicId });
         } else if (response === null) {
-            // Timeout occurred - message already sent by streamWithProgress
-            try {
-                await telegramBot.setMessageReaction(chatId, msg.message_id, {
-                    reaction: [{ type: 'emoji', emoji: '⚠️' }]
-                });
-            } catch (e) { /* ignore */ }
+            // Timed out or stopped - message and reaction already handled by streamWithProgress
         } else {
-            await telegramBot.sendMessage(chatId, '_No response from AI_', {
+            await telegramBot.sendMessage(chatId, '<i>No response from AI</i>', {
                 message_thread_id: topicId,
-                parse_mode: 'Markdown'
+                parse_mode: 'HTML'
             });
         }
     } catch (error) {
-        console.error('[SYNC] Failed to forward to OpenCode:', error.message);
+        syncLog.error('Failed to forward to OpenCode', { sessionId, error });
         // Set error reaction
         try {
             await telegramBot.setMessageReaction(chatId, msg.message_id, {
                 reaction: [{ type: 'emoji', emoji: '❌' }]
             });
         } catch (e) { /* ignore */ }
-        await telegramBot.sendMessage(chatId, `_Error: ${error.message}_`, {
+        await telegramBot.sendMessage(chatId, `<i>Error:</i> ${escapeHtml(error.message)}`, {
             message_thread_id: topicId,
-            parse_mode: 'Markdown'
+            parse_mode: 'HTML'
+        });
+    } finally {
+        await markSessionSynced(sessionId).catch(error => {
+            syncLog.error('Failed to update sync cursor', { sessionId, error });
         });
+        const inFlight = topicPromptsInFlight.get(sessionId) - 1;
+        if (inFlight > 0) {
+            topicPromptsInFlight.set(sessionId, inFlight);
+        } else {
+            topicPromptsInFlight.delete(sessionId);
+        }
+    }
+}
+
+// ============================================
+// Sync Topic Lifecycle
+// ============================================
+
+// Close topics of sessions without activity for this long (0 = never)
+const SYNC_TOPIC_IDLE_MS = (parseFloat(process.env.SYNC_TOPIC_IDLE_HOURS) || 0) * 60 * 60 * 1000;
+// Post a summary of the session when its topic is closed
+const SYNC_TOPIC_SUMMARY = process.env.SYNC_TOPIC_SUMMARY !== 'false';
+// Titles OpenCode gives sessions before it has generated a real one
+const PLACEHOLDER_SESSION_TITLE = /^(New session|Child session) - \d{4}-/;
+
+function updateSyncTopic(sessionId, changes) {
+    const topic = { ...(syncTopics.get(sessionId) || {}), ...changes };
+    syncTopics.set(sessionId, topic);
+    return topic;
+}
+
+// Record activity in a session's topic (and how many messages were posted)
+function touchSyncTopic(sessionId, postedMessages = 0) {
+    const topic = syncTopics.get(sessionId) || {};
+    updateSyncTopic(sessionId, {
+        lastActivityAt: Date.now(),
+        messageCount: (topic.messageCount || 0) + postedMessages
+    });
+}
+
+/**
+ * Rename a session's topic when the session gets a new title in OpenCode
+ */
+async function handleSessionUpdated(info) {
+    const topicId = info?.id && sessionToTopic.get(info.id);
+    const title = info?.title?.trim().slice(0, 128);
+    if (!topicId || !title || PLACEHOLDER_SESSION_TITLE.test(title)) return;
+    if (syncTopics.get(info.id)?.title === title) return;
+    
+    try {
+        await telegramBot.editForumTopic(SYNC_GROUP_ID, topicId, { name: title });
+        updateSyncTopic(info.id, { title });
+        syncLog.info('Renamed topic', { topicId, title });
+    } catch (error) {
+        syncLog.error('Failed to rename topic', { topicId, error });
+    }
+}
+
+/**
+ * Close a session's topic, after posting a summary of the session
+ * reason: 'deleted' (the session is gone) or 'idle' (reopened by the next message)
+ */
+async function closeSyncTopic(sessionId, reason) {
+    const topicId = sessionToTopic.get(sessionId);
+    const topic = syncTopics.get(sessionId) || {};
+    if (!topicId || topic.closed) return;
+    
+    try {
+        if (SYNC_TOPIC_SUMMARY) {
+            const lines = [
+                reason === 'deleted'
+                    ? '🗑 This session was deleted in OpenCode.'
+                    : `💤 Closed after ${Math.round(SYNC_TOPIC_IDLE_MS / 3600000)} hours without activity.`,
+                '',
+                `Title: ${topic.title || 'OpenCode Session'}`,
+                `Messages synced: ${topic.messageCount || 0}`,
+                `Started: ${topic.createdAt ? formatRelativeTime(topic.createdAt) : 'unknown'}`,
+                `Last activity: ${formatRelativeTime(topic.lastActivityAt)}`
+            ];
+            if (reason === 'idle') {
+                lines.push('', 'Reply here to reopen it.');
+            }
+            await telegramBot.sendMessage(SYNC_GROUP_ID, lines.join('\n'), { message_thread_id: topicId });
+        }
+        await telegramBot.closeForumTopic(SYNC_GROUP_ID, topicId);
+        syncLog.info(`Closed topic (${reason})`, { topicId, sessionId });
+    } catch (error) {
+        syncLog.error('Failed to close topic', { topicId, error });
+    }
+    // Marked closed even if Telegram refused, so the idle check doesn't retry it forever
+    updateSyncTopic(sessionId, { closed: true, deleted: reason === 'deleted' });
+}
+
+/**
+ * Reopen a session's topic that was closed for being idle
+ */
+async function reopenSyncTopic(sessionId) {
+    const topicId = sessionToTopic.get(sessionId);
+    const topic = syncTopics.get(sessionId);
+    if (!topicId || !topic?.closed || topic.deleted) return;
+    
+    try {
+        await telegramBot.reopenForumTopic(SYNC_GROUP_ID, topicId);
+        syncLog.info('Reopened topic', { topicId, sessionId });
+    } catch (error) {
+        // Already reopened by hand, or not allowed - the topic is used either way
+        syncLog.error('Failed to reopen topic', { topicId, error });
+    }
+    updateSyncTopic(sessionId, { closed: false, lastActivityAt: Date.now() });
+}
+
+/**
+ * A session was deleted in OpenCode: close its topic and forget the session
+ * The topic stays mapped to the session, so replies in it can be answered
+ */
+async function handleSessionDeleted(sessionId) {
+    if (sessionToTopic.has(sessionId)) {
+        await closeSyncTopic(sessionId, 'deleted');
     }
+    sessionToTopic.delete(sessionId);
+    syncCursors.delete(sessionId);
+    telegramInitiatedSessions.delete(sessionId);
+    sessionDirectories.delete(sessionId);
+}
+
+// Close topics whose session has been idle for longer than SYNC_TOPIC_IDLE_HOURS
+async function closeIdleSyncTopics() {
+    const cutoff = Date.now() - SYNC_TOPIC_IDLE_MS;
+    for (const sessionId of [...sessionToTopic.keys()]) {
+        const topic = syncTopics.get(sessionId);
+        if (!topic?.lastActivityAt) {
+            // Topic from before activity was tracked - start counting now
+            touchSyncTopic(sessionId);
+        } else if (!topic.closed && topic.lastActivityAt < cutoff && !topicPromptsInFlight.has(sessionId)) {
+            await closeSyncTopic(sessionId, 'idle');
+        }
+    }
+}
+
+if (SYNC_GROUP_ID && telegramBot && SYNC_TOPIC_IDLE_MS > 0) {
+    setInterval(() => {
+        closeIdleSyncTopics().catch(error => syncLog.error('Idle topic check failed', { error }));
+    }, 10 * 60 * 1000).unref();
 }
 
 // ============================================
@@ -381,111 +671,212 @@ function getLatestExchange(messages) {
     };
 }
 
+function getMessageId(message) {
+    return message.info?.id || message.id;
+}
+
+function getMessageRole(message) {
+    return message.info?.role || message.role;
+}
+
+// An assistant message that is still being generated (it is synced once it completes)
+function isMessageInProgress(message) {
+    const info = message.info || message;
+    return getMessageRole(message) === 'assistant' && !info.time?.completed && !info.error;
+}
+
+// Topic replies currently being answered (sessionId -> count); terminal sync waits for them
+const topicPromptsInFlight = new Map();
+// Syncs of a session run one after another (idle events and the plugin can overlap)
+const sessionSyncs = new Map();
+
+function runSessionSync(sessionId, task) {
+    const next = (sessionSyncs.get(sessionId) || Promise.resolve()).catch(() => {}).then(task);
+    sessionSyncs.set(sessionId, next);
+    next.catch(() => {}).finally(() => {
+        if (sessionSyncs.get(sessionId) === next) sessionSyncs.delete(sessionId);
+    });
+    return next;
+}
+
 /**
- * Handle session.idle event - sync terminal session to Telegram
+ * Post one OpenCode message to a sync topic: its text, attachments, tool calls and errors
+ * withRole adds the "User:" / "Assistant:" header (left out for follow-up assistant steps)
  */
-async function handleSessionIdle(sessionId) {
-    // Skip sessions initiated from Telegram (they're already in Telegram)
-    if (telegramInitiatedSessions.has(sessionId)) {
-        console.log(`[SYNC] Skipping sync for Telegram-initiated session: ${sessionId.slice(0, 8)}`);
-        return;
-    }
-    
-    // Skip sessions that already have a topic (even if mapping was lost after restart)
-    if (sessionsWithTopics.has(sessionId)) {
-        console.log(`[SYNC] Skipping sync for session that already has a topic: ${sessionId.slice(0, 8)}`);
-        return;
-    }
+async function postMessageToSyncTopic(topicId, message, withRole) {
+    const options = { message_thread_id: topicId };
+    const role = getMessageRole(message);
+    const files = (message.parts || [])
+        .filter(part => part.type === 'file')
+        .map(part => `📎 ${part.filename || part.mime || 'file'}`);
+    const content = [extractMessageContent(message), ...files].filter(Boolean).join('\n');
     
-    if (!SYNC_GROUP_ID) {
-        console.log(`[SYNC] No sync group configured, skipping sync`);
-        return;
+    if (content) {
+        const header = withRole ? (role === 'user' ? '**User:**\n' : '**Assistant:**\n') : '';
+        await sendFormattedMessage(SYNC_GROUP_ID, `${header}${content}`, options);
     }
-    
-    console.log(`[SYNC] Session idle event for: ${sessionId.slice(0, 8)}`);
-    
-    try {
-        // Get messages for this session
-        const messagesResult = await opencode.session.messages({
-            path: { id: sessionId }
-        });
-        
-        let messages = messagesResult.data || messagesResult || [];
-        if (!Array.isArray(messages)) {
-            if (typeof messages === 'object') {
-                messages = Object.values(messages);
-            }
-        }
-        
-        console.log(`[SYNC] Session ${sessionId.slice(0, 8)} has ${messages.length} messages`);
-        if (messages.length === 0) {
-            return;
-        }
-        
-        const exchange = getLatestExchange(messages);
-        if (!exchange) {
-            console.log(`[SYNC] No complete exchange in session ${sessionId.slice(0, 8)}`);
-            return;
+    if (role === 'assistant') {
+        await sendToolSummaries(SYNC_GROUP_ID, message, options);
+        const error = message.info?.error;
+        if (error) {
+            await telegramBot.sendMessage(SYNC_GROUP_ID, `⚠️ ${error.data?.message || error.name || 'Error'}`, options);
         }
-        
-        const userContent = extractMessageContent(exchange.userMessage);
-        const assistantContent = extractMessageContent(exchange.assistantMessage);
-        
-        if (!userContent && !assistantContent) {
-            return;
+    }
+}
+
+/**
+ * Sync a terminal session to its topic: every message after the session's sync cursor is
+ * posted in order, and the cursor moves with each one, so nothing is posted twice or skipped
+ *
+ * Without a topic, one is created first and gets the whole conversation so far. messages
+ * can be passed in (the plugin sends them), otherwise they are loaded from OpenCode.
+ * Returns { topicId, posted, lastMessageId }, or null if there is nothing to sync yet
+ */
+async function syncSession(sessionId, { directory, title, messages } = {}) {
+    return runSessionSync(sessionId, async () => {
+        if (directory && !sessionDirectories.has(sessionId)) {
+            sessionDirectories.set(sessionId, directory);
         }
-        
-        // Check if we already posted this exact content (dedup)
-        const lastPosted = lastPostedContent.get(sessionId);
-        if (lastPosted && 
-            lastPosted.userContent === userContent && 
-            lastPosted.assistantContent === assistantContent) {
-            console.log(`[SYNC] Already posted this content for session ${sessionId.slice(0, 8)}`);
-            return;
+        if (!messages) {
+            messages = await getSessionMessages(sessionId);
         }
         
-        // Get or create topic for this session
         let topicId = sessionToTopic.get(sessionId);
-        
         if (!topicId) {
-            const topicName = userContent.slice(0, 50) || 'OpenCode Session';
-            console.log(`[SYNC] Creating sync topic: "${topicName}" for session ${sessionId.slice(0, 8)}`);
+            const firstPrompt = messages.find(message => getMessageRole(message) === 'user');
+            if (!firstPrompt && !title) return null;
             
-            const result = await createSyncTopic(sessionId, topicName, process.cwd());
+            const topicName = title || extractMessageContent(firstPrompt).slice(0, 50) || 'OpenCode Session';
+            syncLog.debug('Creating sync topic', { title: topicName, sessionId });
+            const result = await createSyncTopic(sessionId, topicName, directory || sessionDirectories.get(sessionId));
             if (!result) {
-                console.error('[SYNC] Failed to create sync topic');
-                return;
+                throw new Error('Failed to create sync topic');
             }
             topicId = result.topicId;
+        } else if (!syncCursors.has(sessionId)) {
+            // Topic from before sync cursors were kept: its history is there already, continue from now
+            const last = messages[messages.length - 1];
+            syncCursors.set(sessionId, last ? getMessageId(last) : '');
+            return { topicId, posted: 0, lastMessageId: syncCursors.get(sessionId) || null };
         }
         
-        // Post the message exchange to the topic
-        console.log(`[SYNC] Posting to topic ${topicId} for session ${sessionId.slice(0, 8)}`);
-        await postToSyncTopic(topicId, userContent, assistantContent);
-        
-        // Track what we posted to avoid duplicates
-        lastPostedContent.set(sessionId, { userContent, assistantContent });
+        // OpenCode message IDs sort in creation order
+        let posted = 0;
+        let previousRole = null;
+        for (const message of messages) {
+            if (getMessageId(message) <= (syncCursors.get(sessionId) || '')) continue;
+            if (isMessageInProgress(message)) break;
+            
+            // New activity in a topic that was closed for being idle
+            if (posted === 0) await reopenSyncTopic(sessionId);
+            
+            const role = getMessageRole(message);
+            await postMessageToSyncTopic(topicId, message, role !== previousRole);
+            syncCursors.set(sessionId, getMessageId(message));
+            touchSyncTopic(sessionId, 1);
+            previousRole = role;
+            posted++;
+        }
         
-    } catch (error) {
-        console.error(`[SYNC] Failed to sync session ${sessionId.slice(0, 8)}:`, error.message);
-    }
+        return { topicId, posted, lastMessageId: syncCursors.get(sessionId) || null };
+    });
+}
+
+// Move a session's sync cursor to its latest finished message (it is in the topic already)
+async function markSessionSynced(sessionId) {
+    return runSessionSync(sessionId, async () => {
+        const messages = await getSessionMessages(sessionId);
+        const finished = messages.filter(message => !isMessageInProgress(message));
+        if (finished.length > 0) {
+            syncCursors.set(sessionId, getMessageId(finished[finished.length - 1]));
+        }
+    });
 }
 
 /**
- * Start global event subscription to sync terminal sessions to Telegram
+ * Handle session.idle event - sync terminal session to Telegram
  */
-async function startGlobalEventSubscription() {
+async function handleSessionIdle(sessionId, directory) {
+    // Skip sessions initiated from Telegram chats (they're already in Telegram)
+    if (telegramInitiatedSessions.has(sessionId) && !sessionToTopic.has(sessionId)) {
+        syncLog.debug('Skipping sync for Telegram-initiated session', { sessionId });
+        return;
+    }
+    
+    // A reply from the topic is running - its exchange is posted by the reply itself
+    if (topicPromptsInFlight.has(sessionId)) {
+        syncLog.debug('Skipping sync while a topic reply is running', { sessionId });
+        return;
+    }
+    
+    // Skip sessions whose topic mapping was lost (don't open a second topic)
+    if (sessionsWithTopics.has(sessionId) && !sessionToTopic.has(sessionId)) {
+        syncLog.debug('Skipping sync for session that already has a topic', { sessionId });
+        return;
+    }
+    
     if (!SYNC_GROUP_ID) {
-        console.log('[SYNC] No sync group configured, skipping event subscription');
+        syncLog.debug('No sync group configured, skipping sync');
         return;
     }
     
-    console.log('[SYNC] Starting global event subscription for session sync...');
+    syncLog.debug('Session idle event', { sessionId });
+    
+    try {
+        const result = await syncSession(sessionId, { directory });
+        if (result?.posted) {
+            syncLog.info(`Posted ${result.posted} message(s) to topic`, { topicId: result.topicId, sessionId });
+        }
+    } catch (error) {
+        syncLog.error('Failed to sync session', { sessionId, error });
+    }
+}
+
+// Per-session event listeners (sessionId -> Set of handlers), fed by the global event stream
+const sessionEventListeners = new Map();
+
+/**
+ * Subscribe to events for a single session
+ * Returns a function that removes the listener again
+ */
+function onSessionEvent(sessionId, handler) {
+    if (!sessionEventListeners.has(sessionId)) {
+        sessionEventListeners.set(sessionId, new Set());
+    }
+    sessionEventListeners.get(sessionId).add(handler);
+    
+    return () => {
+        const handlers = sessionEventListeners.get(sessionId);
+        if (!handlers) return;
+        handlers.delete(handler);
+        if (handlers.size === 0) {
+            sessionEventListeners.delete(sessionId);
+        }
+    };
+}
+
+/**
+ * Find the session an event belongs to (message and part events carry it in different places)
+ */
+function getEventSessionId(properties) {
+    return properties?.sessionID ||
+        properties?.part?.sessionID ||
+        properties?.info?.sessionID ||
+        properties?.info?.id ||
+        null;
+}
+
+/**
+ * Start global event subscription - feeds session listeners (live replies)
+ * and syncs terminal sessions to Telegram when a sync group is configured
+ */
+async function startGlobalEventSubscription() {
+    eventsLog.info('Starting global event subscription...');
     
     try {
         const eventStream = await opencode.global.event();
         
-        console.log('[SYNC] Global event subscription established');
+        eventsLog.info('Global event subscription established');
         
         // Process events from the stream
         for await (const event of eventStream.stream) {
@@ -495,79 +886,320 @@ async function startGlobalEventSubscription() {
                 
                 // Debug: log events (skip frequent ones like deltas)
                 if (eventType && !['message.part.delta', 'message.part.updated'].includes(eventType)) {
-                    console.log(`[SYNC] Event: ${eventType}`, JSON.stringify(payload.properties || {}).slice(0, 200));
+                    eventsLog.debug(`Event: ${eventType}`, { sessionId: getEventSessionId(payload.properties) });
+                }
+                
+                // Dispatch to listeners for this session (e.g. live-streamed replies)
+                const eventSessionId = getEventSessionId(payload?.properties);
+                // Remember which OpenCode instance (directory) the session belongs to
+                if (eventSessionId && event?.directory && !sessionDirectories.has(eventSessionId)) {
+                    sessionDirectories.set(eventSessionId, event.directory);
+                }
+                const handlers = eventSessionId && sessionEventListeners.get(eventSessionId);
+                if (handlers) {
+                    for (const handler of handlers) {
+                        try {
+                            handler(payload);
+                        } catch (handlerError) {
+                            eventsLog.error('Session listener failed', { error: handlerError });
+                        }
+                    }
+                }
+                
+                // Permission requests - ask in Telegram with inline buttons
+                if (isPermissionRequestEvent(eventType)) {
+                    handlePermissionRequest(payload.properties);
+                } else if (eventType === 'permission.replied') {
+                    handlePermissionReplied(payload.properties);
                 }
                 
                 // Handle session becoming idle
-                if (eventType === 'session.status') {
+                if (eventType === 'session.status' && SYNC_GROUP_ID) {
                     const sessionId = payload.properties?.sessionID;
                     const statusType = payload.properties?.status?.type;
                     if (sessionId && statusType === 'idle') {
-                        console.log(`[SYNC] Session ${sessionId.slice(0, 8)} became idle`);
-                        setTimeout(() => handleSessionIdle(sessionId), 100);
+                        syncLog.debug('Session became idle', { sessionId });
+                        setTimeout(() => handleSessionIdle(sessionId, event?.directory), 100);
                     }
                 }
                 
-                // Handle session.deleted - clean up mappings
+                // Keep the session's topic in step: rename it with the session, close it when it's deleted
+                if (eventType === 'session.updated' && SYNC_GROUP_ID) {
+                    handleSessionUpdated(payload.properties?.info);
+                }
                 if (eventType === 'session.deleted') {
-                    const sessionId = payload.properties?.sessionId;
+                    const sessionId = payload.properties?.info?.id;
                     if (sessionId) {
-                        sessionToTopic.delete(sessionId);
-                        lastPostedContent.delete(sessionId);
-                        telegramInitiatedSessions.delete(sessionId);
+                        handleSessionDeleted(sessionId).catch(error => {
+                            syncLog.error('Failed to clean up deleted session', { sessionId, error });
+                        });
                     }
                 }
             } catch (eventError) {
-                console.error('[SYNC] Error processing event:', eventError.message);
+                eventsLog.error('Error processing event', { error: eventError });
             }
         }
+        
+        // Stream ended (e.g. OpenCode server restarted) - reconnect
+        eventsLog.warn('Event stream closed, reconnecting in 10 seconds...');
+        eventStreamReconnects.inc({ reason: 'closed' });
+        setTimeout(startGlobalEventSubscription, 10000);
     } catch (error) {
-        console.error('[SYNC] Global event subscription failed:', error.message);
+        eventsLog.error('Global event subscription failed', { error });
         // Retry after delay
-        console.log('[SYNC] Retrying event subscription in 10 seconds...');
+        eventsLog.info('Retrying event subscription in 10 seconds...');
+        eventStreamReconnects.inc({ reason: 'error' });
         setTimeout(startGlobalEventSubscription, 10000);
     }
 }
 
-// Check if a user is authorized to use the bot
-// Returns true if authorized, false otherwise (and sends unauthorized message)
-async function checkUserAuthorized(msg) {
-    const userId = msg.from?.id;
-    const chatId = msg.chat.id;
-    const msgTime = msg.date || 0;
-    
-    // Ignore messages sent before bot started (old messages from queue after restart)
-    if (msgTime < botStartTime) {
-        console.log(`Ignoring old message from ${userId} (msg time: ${msgTime}, bot start: ${botStartTime})`);
-        return false;
+// ============================================
+// Users and Roles
+// ============================================
+
+// Roles from most to least privileged; read-only users can browse but not prompt or change sessions
+const ROLES = ['owner', 'admin', 'member', 'readonly'];
+const ROLE_LABELS = {
+    owner: '👑 owner',
+    admin: '🛡 admin',
+    member: '👤 member',
+    readonly: '👁 read-only'
+};
+
+// A stored role that isn't one of ROLES counts as no access
+function getUserRole(userId) {
+    const role = userId ? userRoles.get(String(userId))?.role : null;
+    return ROLES.includes(role) ? role : null;
+}
+
+// Check a user's role against the least privileged role allowed to do something
+function hasRole(userId, minRole) {
+    const rank = ROLES.indexOf(getUserRole(userId));
+    return rank !== -1 && ROLES.includes(minRole) && rank <= ROLES.indexOf(minRole);
+}
+
+// Check a user ID for access (for callback queries, which skip checkUserAuthorized)
+function isAuthorizedUser(userId, minRole = 'member') {
+    return hasRole(userId, minRole);
+}
+
+// Accept "read-only" and friends for the readonly role
+function parseRole(text) {
+    const role = String(text || '').toLowerCase().replace(/[^a-z]/g, '');
+    return ROLES.includes(role) ? role : null;
+}
+
+// Keep the username and name of everyone who talks to the bot, for /allow @username and /users
+function rememberUser(from) {
+    if (!from?.id || from.is_bot) return;
+    const profile = {
+        username: from.username || null,
+        name: [from.first_name, from.last_name].filter(Boolean).join(' ') || null
+    };
+    const known = knownUsers.get(String(from.id));
+    if (!known || known.username !== profile.username || known.name !== profile.name) {
+        knownUsers.set(String(from.id), profile);
     }
-    
-    // If no allowlist configured, first user becomes admin
-    if (allowedUsers.length === 0 && userId) {
-        await telegramBot.sendMessage(chatId,
-            `You are the first user to message this bot.\n\n` +
-            `Adding you as admin (user ID: ${userId}).\n\n` +
-            `The bot will restart now. Please message again in a few seconds.`
-        );
-        addUserToEnvAndExit(userId);
-        return false; // Won't reach here, but for safety
+}
+
+// "@username", the user's name, or the bare ID
+function formatUser(userId) {
+    const known = knownUsers.get(String(userId));
+    if (known?.username) return `@${known.username}`;
+    return known?.name || String(userId);
+}
+
+// Resolve a numeric ID or @username (only users the bot has seen can be found by username)
+function resolveUserArg(arg) {
+    if (!arg) return null;
+    if (/^\d+$/.test(arg)) return arg;
+    const username = arg.replace(/^@/, '').toLowerCase();
+    for (const [userId, profile] of knownUsers) {
+        if (profile.username?.toLowerCase() === username) return userId;
+    }
+    return null;
+}
+
+// Why actorId may not give targetId newRole (null = allowed, newRole null = revoke)
+// Admins manage members and read-only users; only the owner manages admins or hands over ownership
+function checkRoleChange(actorId, targetId, newRole) {
+    const actorRole = getUserRole(actorId);
+    const targetRole = getUserRole(targetId);
+    if (String(actorId) === String(targetId)) return 'You cannot change your own role.';
+    if (targetRole === 'owner') return 'The owner cannot be changed. The owner can hand over with /role <user> owner.';
+    if (actorRole === 'owner') return null;
+    if (actorRole !== 'admin') return 'Only admins can manage users.';
+    if (targetRole === 'admin' || newRole === 'admin' || newRole === 'owner') {
+        return 'Only the owner can add, change or remove admins.';
+    }
+    return null;
+}
+
+// Give a user a role; handing over ownership turns the current owner into an admin
+function setUserRole(targetId, role, actorId) {
+    if (role === 'owner') {
+        for (const [userId, entry] of userRoles) {
+            if (entry.role === 'owner') userRoles.set(userId, { ...entry, role: 'admin' });
+        }
+    }
+    const existing = userRoles.get(String(targetId));
+    userRoles.set(String(targetId), {
+        addedBy: String(actorId),
+        addedAt: Date.now(),
+        ...existing,
+        role
+    });
+    accessRequests.delete(String(targetId));
+}
+
+// Tell a user their access changed (they may never have opened a private chat with the bot)
+async function notifyUser(userId, text) {
+    try {
+        await telegramBot.sendMessage(userId, text);
+    } catch (e) {
+        // Ignore - the user hasn't started a chat with the bot
+    }
+}
+
+// Send an access request to every owner and admin with Approve/Reject buttons
+async function requestAccess(from, chatId) {
+    const userId = String(from.id);
+    rememberUser(from);
+    
+    const adminIds = Array.from(userRoles.entries())
+        .filter(([, entry]) => entry.role === 'owner' || entry.role === 'admin')
+        .map(([id]) => id);
+    const name = [from.first_name, from.last_name].filter(Boolean).join(' ');
+    const text = `🔑 *Access request*\n\n` +
+        `${escapeMarkdown(name || 'Unknown')}${from.username ? ` (@${escapeMarkdown(from.username)})` : ''}\n` +
+        `User ID: \`${userId}\``;
+    const keyboard = {
+        inline_keyboard: [
+            [
+                { text: '✅ Approve', callback_data: `acc_${userId}_member` },
+                { text: '👁 Read-only', callback_data: `acc_${userId}_readonly` }
+            ],
+            [{ text: '❌ Reject', callback_data: `acc_${userId}_reject` }]
+        ]
+    };
+    
+    const adminMessages = [];
+    for (const adminId of adminIds) {
+        try {
+            const sent = await telegramBot.sendMessage(adminId, text, { parse_mode: 'Markdown', reply_markup: keyboard });
+            adminMessages.push([sent.chat.id, sent.message_id]);
+        } catch (error) {
+            accessLog.error('Could not notify admin', { adminId, error });
+        }
+    }
+    
+    accessRequests.set(userId, { chatId, requestedAt: Date.now(), adminMessages });
+    accessLog.info(`User requested access, notified ${adminMessages.length} admin(s)`, { userId });
+    return adminMessages.length > 0;
+}
+
+// Approve or reject an access request, updating every admin's copy of the request
+async function resolveAccessRequest(targetId, decision, actorId) {
+    const request = accessRequests.get(String(targetId));
+    const outcome = decision === 'reject'
+        ? `❌ Rejected by ${formatUser(actorId)}`
+        : `✅ Approved as ${ROLE_LABELS[decision]} by ${formatUser(actorId)}`;
+    
+    if (decision === 'reject') {
+        accessRequests.delete(String(targetId));
+    } else {
+        setUserRole(targetId, decision, actorId);
+    }
+    
+    for (const [adminChatId, messageId] of request?.adminMessages || []) {
+        try {
+            await telegramBot.editMessageText(
+                `🔑 Access request from ${formatUser(targetId)} (${targetId})\n\n${outcome}`,
+                { chat_id: adminChatId, message_id: messageId }
+            );
+        } catch (e) {
+            // Ignore edit errors (message deleted, too old, ...)
+        }
+    }
+    
+    const reply = decision === 'reject'
+        ? 'Your access request was rejected.'
+        : `Your access request was approved (${ROLE_LABELS[decision]}). Send /start to begin.`;
+    if (request?.chatId && String(request.chatId) !== String(targetId)) {
+        try {
+            await telegramBot.sendMessage(request.chatId, `${formatUser(targetId)}: ${reply}`);
+        } catch (e) {
+            // Ignore
+        }
+    } else {
+        await notifyUser(targetId, reply);
+    }
+    accessLog.info(outcome, { userId: targetId });
+}
+
+// Check if a user is authorized to use the bot
+// minRole is the least privileged role allowed (read-only users can only use browsing commands)
+// Returns true if authorized, false otherwise (and sends unauthorized message)
+async function checkUserAuthorized(msg, minRole = 'member') {
+    const userId = msg.from?.id;
+    const chatId = msg.chat.id;
+    const msgTime = msg.date || 0;
+    
+    // Ignore messages sent before bot started (old messages from queue after restart)
+    if (msgTime < botStartTime) {
+        messageLog.debug('Ignoring old message', { userId, msgTime, botStartTime });
+        return false;
     }
     
-    // Check if user is in whitelist
-    if (userId && allowedUsers.includes(String(userId))) {
+    rememberUser(msg.from);
+    
+    // If nobody has access yet, the first user becomes the owner
+    if (userRoles.size === 0 && userId) {
+        userRoles.set(String(userId), { role: 'owner', addedBy: 'first-user', addedAt: Date.now() });
+        accessLog.info('First user is now the owner', { userId });
+        await telegramBot.sendMessage(chatId,
+            `You are the first user to message this bot, so you are now its owner (user ID: ${userId}).\n\n` +
+            `Use /allow to give other people access and /users to see who has it.`
+        );
+        return true;
+    }
+    
+    if (hasRole(userId, minRole)) {
         return true;
     }
     
-    // User not authorized - send message they can paste back to the agent
+    if (getUserRole(userId)) {
+        await telegramBot.sendMessage(chatId, `Your role (${ROLE_LABELS[getUserRole(userId)]}) can't do this. Ask an admin for more access.`, {
+            ...(msg.message_thread_id ? { message_thread_id: msg.message_thread_id } : {})
+        });
+        return false;
+    }
+    
+    // Not authorized - let them ask the admins for access
     await telegramBot.sendMessage(chatId,
         `You are not authorized to use this bot.\n\n` +
-        `Paste this into the chat to allow your user ID to control the machine:\n\n` +
-        `Add user ${userId} to TELEGRAM_ALLOWED_USERS`
+        `Your user ID: ${userId}`,
+        {
+            ...(msg.message_thread_id ? { message_thread_id: msg.message_thread_id } : {}),
+            reply_markup: {
+                inline_keyboard: [[{ text: '🔑 Request access', callback_data: 'accreq' }]]
+            }
+        }
     );
     
     return false;
 }
 
+// Read a per-chat preference
+function getChatSetting(chatId, key, fallback) {
+    return chatSettings.get(chatId)?.[key] ?? fallback;
+}
+
+// Update a per-chat preference (writes the whole settings object back so it is persisted)
+function setChatSetting(chatId, key, value) {
+    chatSettings.set(chatId, { ...(chatSettings.get(chatId) || {}), [key]: value });
+}
+
 // Get the current model for a user (falls back to env default)
 function getUserModel(userId) {
     return userModels.get(userId) || process.env.OPENCODE_MODEL || 'github-copilot/claude-opus-4.5';
@@ -601,59 +1233,428 @@ async function getAvailableModels() {
         modelIndex.clear();
         models.forEach((model, idx) => modelIndex.set(idx, model));
         
-        console.log(`Loaded ${models.length} models from OpenCode server`);
+        log.info(`Loaded ${models.length} models from OpenCode server`);
         return models;
     } catch (error) {
-        console.error('Error loading models:', error);
+        log.error('Error loading models', { error });
         return [];
     }
 }
 
-// Stream events and send progress updates to user
-// Set context to null to skip progress message (useful when using reactions instead)
-async function streamWithProgress(chatId, sessionId, parts, modelObj, context = '', topicId = null) {
+// ============================================
+// Projects (/project)
+// ============================================
+
+// Project roots chats can work in: PROJECT_ROOTS="api=/srv/api,/srv/web" (name defaults to the folder name)
+const PROJECTS = (process.env.PROJECT_ROOTS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const separator = entry.indexOf('=');
+        const projectPath = path.resolve(separator === -1 ? entry : entry.slice(separator + 1).trim());
+        const name = separator === -1 ? path.basename(projectPath) : entry.slice(0, separator).trim();
+        return { name, path: projectPath };
+    });
+
+if (PROJECTS.length > 0) {
+    log.info(`Projects: ${PROJECTS.map(p => `${p.name} (${p.path})`).join(', ')}`);
+}
+
+// The chat's selected project, or null for the OpenCode server's own directory
+function getChatProject(chatId) {
+    const name = getChatSetting(chatId, 'project', null);
+    return PROJECTS.find(p => p.name === name) || null;
+}
+
+// Project label for a directory: the configured project name, or the directory itself
+function describeDirectory(directory) {
+    const project = PROJECTS.find(p => p.path === directory);
+    return project ? `${project.name} (${project.path})` : (directory || 'server default');
+}
+
+/**
+ * Query parameters that route a request to the OpenCode instance a session lives in
+ * Falls back to the chat's project for sessions we haven't seen yet (e.g. from the session browser)
+ */
+function sessionQuery(sessionId, chatId = null, query = {}) {
+    const directory = sessionDirectories.get(sessionId) || (chatId ? getChatProject(chatId)?.path : null);
+    return directory ? { ...query, directory } : query;
+}
+
+// Create a session for a chat, in the chat's project directory
+async function createSessionForChat(chatId) {
+    const project = getChatProject(chatId);
+    const { data: newSession, error } = await opencode.session.create(project ? { query: { directory: project.path } } : {});
+    if (error || !newSession) {
+        throw new Error(`Could not create session: ${JSON.stringify(error)}`);
+    }
+    if (project) {
+        sessionDirectories.set(newSession.id, project.path);
+    }
+    return newSession;
+}
+
+// Switch a chat to a project (null = server default); the chat's next message starts a new session there
+function selectChatProject(chatId, project) {
+    if (getChatProject(chatId)?.name === project?.name) return false;
+    setChatSetting(chatId, 'project', project?.name || null);
+    userSessions.delete(chatId);
+    return true;
+}
+
+// Project list with a button per project
+function renderProjectPicker(chatId) {
+    const current = getChatProject(chatId);
+    const lines = PROJECTS.map(p => `${p === current ? '✓' : '•'} *${escapeMarkdown(p.name)}* - \`${p.path}\``);
+    const keyboard = PROJECTS.map((p, index) => [{
+        text: `${p === current ? '✓ ' : ''}${p.name}`,
+        callback_data: `proj_${index}`
+    }]);
+    keyboard.push([{ text: `${current ? '' : '✓ '}Server default`, callback_data: 'proj_default' }]);
+    
+    return {
+        text: `📁 *Project:* ${current ? escapeMarkdown(current.name) : 'server default'}\n\n` +
+            `${lines.join('\n')}\n\n` +
+            `New sessions are created in the selected project. Switching starts a new session.`,
+        options: {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: keyboard }
+        }
+    };
+}
+
+// ============================================
+// Live Reply Streaming
+// ============================================
+
+// Minimum delay between edits of a streamed reply (Telegram rate-limits message edits)
+const STREAM_EDIT_INTERVAL_MS = parseInt(process.env.TELEGRAM_STREAM_INTERVAL_MS) || 1500;
+// Streamed replies continue in a new message once they grow past this length
+const STREAM_MESSAGE_LENGTH = 3900;
+// Responses whose text was already delivered by streaming (callers must not send them again)
+const streamedResponses = new WeakSet();
+
+/**
+ * Create a reply message that is edited in place as text arrives
+ * Uses the given message (usually the progress message) or posts a new one on the first text,
+ * and continues in additional messages when the text grows past one message
+ *
+ * @param {number} chatId
+ * @param {object} msgOptions - options for new messages (e.g. message_thread_id)
+ * @param {number|null} [initialMessageId] - message to edit first, usually the progress message
+ * @param {object|null} [streamingMarkup] - reply markup (e.g. the Stop button) kept on the last message until the reply is finished
+ */
+function createLiveReply(chatId, msgOptions, initialMessageId = null, streamingMarkup = null) {
+    const messageIds = initialMessageId ? [initialMessageId] : [];
+    const shownTexts = [];
+    let latestText = '';
+    let started = false;
+    let finished = false;
+    let timer = null;
+    let flushing = null;
+    let pending = false;
+    let nextEditAt = 0;
+    
+    // Edit (or post) one chunk of the reply (rate limits and retries are handled by the send layer)
+    // The chunk is Markdown and shown as HTML, or as plain text if Telegram rejects the formatting
+    async function renderChunk(index, text, markup) {
+        const markupOptions = markup ? { reply_markup: markup } : {};
+        for (const formatted of [true, false]) {
+            const body = formatted ? markdownToTelegramHtml(text) : text;
+            const formatOptions = formatted ? { parse_mode: 'HTML' } : {};
+            try {
+                if (messageIds[index]) {
+                    await telegramBot.editMessageText(body, { chat_id: chatId, message_id: messageIds[index], ...formatOptions, ...markupOptions });
+                } else {
+                    const sent = await telegramBot.sendMessage(chatId, body, { ...msgOptions, ...formatOptions, ...markupOptions });
+                    messageIds[index] = sent.message_id;
+                }
+                shownTexts[index] = text;
+                return true;
+            } catch (error) {
+                if (/message is not modified/.test(error.message)) {
+                    shownTexts[index] = text;
+                    return true;
+                }
+                if (formatted && isParseError(error)) {
+                    continue;
+                }
+                streamLog.error('Failed to update reply', { chatId, error });
+                return false;
+            }
+        }
+        return false;
+    }
+    
+    async function flush(final) {
+        const chunks = formatMarkdownChunks(latestText, STREAM_MESSAGE_LENGTH);
+        for (let i = 0; i < chunks.length; i++) {
+            const isLast = i === chunks.length - 1;
+            // Show a cursor on the last chunk while the reply is still being written
+            const text = isLast && !final ? `${chunks[i].text} ▌` : chunks[i].text;
+            if (shownTexts[i] === text) continue;
+            const markup = isLast && !final ? streamingMarkup : null;
+            if (!await renderChunk(i, text, markup) && !final) return;
+        }
+        nextEditAt = Date.now() + STREAM_EDIT_INTERVAL_MS;
+    }
+    
+    function schedule() {
+        if (timer || finished) return;
+        if (flushing) {
+            pending = true;
+            return;
+        }
+        timer = setTimeout(() => {
+            timer = null;
+            flushing = flush(false).finally(() => {
+                flushing = null;
+                if (pending) {
+                    pending = false;
+                    schedule();
+                }
+            });
+        }, Math.max(0, nextEditAt - Date.now()));
+    }
+    
+    return {
+        get started() {
+            return started;
+        },
+        
+        // Show the latest accumulated text (throttled)
+        update(text) {
+            if (finished || !text) return;
+            latestText = text;
+            started = true;
+            schedule();
+        },
+        
+        // Render the final text without the cursor; keeps the streamed text if none is given
+        async finish(finalText) {
+            finished = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+            if (flushing) await flushing;
+            if (finalText) latestText = finalText;
+            if (!latestText) return false;
+            await flush(true);
+            return true;
+        }
+    };
+}
+
+// Extract the text of a prompt response (its text parts, or content on older servers)
+function getResponseText(response) {
+    const parts = response?.parts || response?.content;
+    if (typeof parts === 'string') return parts;
+    if (!Array.isArray(parts)) return '';
+    return parts
+        .filter(p => p.type === 'text')
+        .map(p => p.text)
+        .join('\n');
+}
+
+// Prompts wait here so one session never gets two at once (see lib/prompt-queue.js)
+const promptQueue = createPromptQueue({
+    concurrency: parseInt(process.env.PROMPT_CONCURRENCY) || 4,
+    maxQueuedPerChat: parseInt(process.env.PROMPT_QUEUE_MAX_PER_CHAT) || 5
+});
+
+/**
+ * Send a prompt, streaming events and progress updates to the user
+ * Prompts for a session that is busy wait their turn, shown as a "🕒 queued (#n)" reply.
+ * The reply is edited in place as text arrives; if it was, the response is added to streamedResponses.
+ * Returns null when the prompt timed out, was stopped or could not be queued (the user has already been told)
+ *
+ * @param {number} chatId
+ * @param {string} sessionId
+ * @param {object[]} parts - prompt parts (text and files)
+ * @param {object} modelObj - { providerID, modelID }
+ * @param {string|null} [context] - progress message text; null skips it (useful when using reactions instead)
+ * @param {number|null} [topicId] - forum topic to reply in
+ * @param {object} [options]
+ * @param {string} [options.inputType] - how the prompt came in (text, voice, photo, document, video, sync), for metrics and /voice auto
+ * @param {number} [options.messageId] - the user's message, its reaction is updated when the prompt is stopped or times out
+ */
+async function streamWithProgress(chatId, sessionId, parts, modelObj, context = '', topicId = null, options = {}) {
+    const msgOptions = topicId ? { message_thread_id: topicId } : {};
+    let queuedMessage = null;
+    
+    // The queue calls these synchronously, so each update waits for the previous one
+    let indicator = Promise.resolve();
+    const showQueued = (position) => {
+        indicator = indicator.then(async () => {
+            const text = `🕒 queued (#${position})`;
+            try {
+                if (queuedMessage) {
+                    await telegramBot.editMessageText(text, { chat_id: chatId, message_id: queuedMessage.message_id });
+                } else {
+                    queuedMessage = await telegramBot.sendMessage(chatId, text, {
+                        ...msgOptions,
+                        ...(options.messageId ? { reply_to_message_id: options.messageId } : {})
+                    });
+                }
+            } catch (e) {
+                // Ignore - the indicator is only informational
+            }
+        });
+    };
+    
+    try {
+        return await promptQueue.run(sessionId, chatId, () => runPromptWithProgress(chatId, sessionId, parts, modelObj, context, topicId, options), {
+            onQueued: showQueued,
+            onPositionChange: showQueued,
+            onStart: () => {
+                indicator = indicator.then(async () => {
+                    if (!queuedMessage) return;
+                    try {
+                        await telegramBot.deleteMessage(chatId, queuedMessage.message_id);
+                    } catch (e) {
+                        // Ignore delete errors
+                    }
+                });
+                return indicator;
+            }
+        });
+    } catch (error) {
+        // Dropped from the queue by /abort or Stop: turn the indicator into the confirmation
+        if (error instanceof QueueCancelledError) {
+            indicator = indicator.then(async () => {
+                if (!queuedMessage) return;
+                try {
+                    await telegramBot.editMessageText('⏹ Cancelled.', { chat_id: chatId, message_id: queuedMessage.message_id });
+                } catch (e) {
+                    // Ignore - the indicator is only informational
+                }
+            });
+            await indicator;
+            await setPromptReaction(chatId, options.messageId, '🤷');
+            return null;
+        }
+        if (!(error instanceof QueueFullError)) throw error;
+        
+        await setPromptReaction(chatId, options.messageId, '🤷');
+        await telegramBot.sendMessage(chatId,
+            `🕒 You already have ${error.limit} messages waiting. Wait for them to finish or use /abort.`,
+            msgOptions
+        );
+        return null;
+    }
+}
+
+async function runPromptWithProgress(chatId, sessionId, parts, modelObj, context, topicId, options) {
     let progressMessageId = null;
     const msgOptions = topicId ? { message_thread_id: topicId } : {};
+    const stopMarkup = { inline_keyboard: [[{ text: '⏹ Stop', callback_data: `abort_${sessionId}` }]] };
     
     // Send initial progress message (unless context is null)
     if (context !== null) {
         try {
-            const msg = await telegramBot.sendMessage(chatId, context ? `${context}\n\n⏳ Processing...` : '⏳ Processing...', msgOptions);
+            const msg = await telegramBot.sendMessage(chatId, context ? `${context}\n\n⏳ Processing...` : '⏳ Processing...', {
+                ...msgOptions,
+                reply_markup: stopMarkup
+            });
             progressMessageId = msg.message_id;
         } catch (e) {
             // Ignore progress message errors
         }
     }
     
-    // Set up a timeout to detect if AI asks a question (which would block the prompt)
+    // Stream the reply into the progress message (or a new message) as text arrives
+    const liveReply = createLiveReply(chatId, msgOptions, progressMessageId, stopMarkup);
+    const assistantMessageIds = new Set();
+    const textParts = new Map();
+    const renderStreamedText = () => liveReply.update(Array.from(textParts.values()).join('\n').trim());
+    
+    // Rejected when the prompt times out or is stopped with /abort or the Stop button
+    let interrupt = null;
+    const interruptPromise = new Promise((_, reject) => {
+        interrupt = reject;
+    });
+    
+    // Let permission requests and /abort for this session find their way back to this prompt
+    activePrompts.set(sessionId, {
+        chatId,
+        topicId,
+        cancel: () => interrupt(new Error('ABORTED: The prompt was stopped from Telegram.'))
+    });
+    
+    // Set up an inactivity timeout to detect if AI asks a question (which would block the prompt)
+    // The timer restarts on every event from the session, so long streamed answers don't time out
     const TIMEOUT_MS = 120000; // 2 minutes
     let timeoutId = null;
-    let questionDetected = false;
-    
-    const timeoutPromise = new Promise((_, reject) => {
+    // Paused while a permission request is waiting for an answer
+    let pendingPermissions = 0;
+    const armTimeout = () => {
+        if (timeoutId) clearTimeout(timeoutId);
+        timeoutId = null;
+        if (pendingPermissions > 0) return;
         timeoutId = setTimeout(() => {
-            reject(new Error('TIMEOUT: The AI may be waiting for input in the terminal. Please check the OpenCode terminal UI.'));
+            interrupt(new Error('TIMEOUT: The AI may be waiting for input in the terminal. Please check the OpenCode terminal UI.'));
         }, TIMEOUT_MS);
+    };
+    armTimeout();
+    
+    const unsubscribe = onSessionEvent(sessionId, (payload) => {
+        if (isPermissionRequestEvent(payload.type)) {
+            pendingPermissions++;
+        } else if (payload.type === 'permission.replied') {
+            pendingPermissions = Math.max(0, pendingPermissions - 1);
+        }
+        armTimeout();
+        const props = payload.properties || {};
+        
+        if (payload.type === 'message.updated' && props.info?.role === 'assistant') {
+            assistantMessageIds.add(props.info.id);
+        } else if (payload.type === 'message.part.updated') {
+            // Full part snapshot - only text parts of the assistant's messages are shown
+            const part = props.part;
+            if (part?.type === 'text' && assistantMessageIds.has(part.messageID)) {
+                textParts.set(part.id, part.text || '');
+                renderStreamedText();
+            }
+        } else if (payload.type === 'message.part.delta') {
+            if (props.field === 'text' && textParts.has(props.partID)) {
+                textParts.set(props.partID, textParts.get(props.partID) + (props.delta || ''));
+                renderStreamedText();
+            }
+        }
     });
     
     // Send the prompt and wait for response (with timeout)
+    const inputType = options.inputType || 'text';
+    promptsTotal.inc({ type: inputType });
+    const observeDuration = promptDuration.startTimer({ type: inputType });
+    const startedAt = Date.now();
+    promptLog.info('Sending prompt', { sessionId, type: inputType, model: modelObj ? `${modelObj.providerID}/${modelObj.modelID}` : undefined });
     try {
         const promptPromise = opencode.session.prompt({
             path: { id: sessionId },
+            query: sessionQuery(sessionId, chatId),
             body: { 
                 parts,
                 model: modelObj
             }
         });
+        // The prompt may still settle after a timeout or abort - nobody is waiting for it then
+        promptPromise.catch(() => {});
         
-        // Race between prompt completion and timeout
-        const result = await Promise.race([promptPromise, timeoutPromise]);
+        // Race between prompt completion and timeout/abort
+        const result = await Promise.race([promptPromise, interruptPromise]);
         
         // Clear timeout since we got a response
         if (timeoutId) clearTimeout(timeoutId);
+        unsubscribe();
+        activePrompts.delete(sessionId);
         
-        // Delete progress message
-        if (progressMessageId) {
+        if (liveReply.started) {
+            // Replace the streamed text with the final reply
+            await liveReply.finish(getResponseText(result?.data));
+            if (result?.data) streamedResponses.add(result.data);
+        } else if (progressMessageId) {
+            // Delete progress message
             try {
                 await telegramBot.deleteMessage(chatId, progressMessageId);
             } catch (e) {
@@ -664,14 +1665,47 @@ async function streamWithProgress(chatId, sessionId, parts, modelObj, context =
         if (result?.error) {
             throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
         }
+        observeDuration({ outcome: 'ok' });
+        promptLog.info('Prompt finished', { sessionId, messageId: result?.data?.info?.id, ms: Date.now() - startedAt });
+        
+        // Show what the agent did (bash, edit, read, ...) as configured for this chat
+        try {
+            await sendToolSummaries(chatId, result?.data, msgOptions);
+        } catch (toolError) {
+            log.error('Failed to send tool summaries', { sessionId, error: toolError });
+        }
+        
+        // Read the reply out as a voice note if the chat asked for it (/voice)
+        if (shouldReplyWithVoice(chatId, options.inputType)) {
+            try {
+                await sendVoiceReply(chatId, getResponseText(result?.data), msgOptions);
+            } catch (voiceError) {
+                voiceLog.error('Failed to send voice reply', { sessionId, error: voiceError });
+            }
+        }
+        
+        // Attach the file changes made by this prompt if the chat asked for it (/diff auto on)
+        const userMessageId = result?.data?.info?.parentID;
+        if (userMessageId && getChatSetting(chatId, 'autoDiff', false)) {
+            try {
+                await sendSessionDiff(chatId, sessionId, msgOptions, userMessageId);
+            } catch (diffError) {
+                log.error('Failed to send prompt diff', { sessionId, error: diffError });
+            }
+        }
         
         return result?.data;
     } catch (error) {
         // Clear timeout
         if (timeoutId) clearTimeout(timeoutId);
+        unsubscribe();
+        activePrompts.delete(sessionId);
         
-        // Delete progress message on error
-        if (progressMessageId) {
+        if (liveReply.started) {
+            // Keep whatever was streamed so far
+            await liveReply.finish();
+        } else if (progressMessageId) {
+            // Delete progress message on error
             try {
                 await telegramBot.deleteMessage(chatId, progressMessageId);
             } catch (e) {
@@ -679,12 +1713,40 @@ async function streamWithProgress(chatId, sessionId, parts, modelObj, context =
             }
         }
         
-        // If it's a timeout, send a helpful message instead of throwing
+        if (error.message.startsWith('ABORTED')) {
+            observeDuration({ outcome: 'aborted' });
+            promptLog.info('Prompt stopped', { sessionId });
+        } else if (error.message.includes('TIMEOUT')) {
+            observeDuration({ outcome: 'timeout' });
+            promptTimeouts.inc({ type: inputType });
+            promptLog.warn('Prompt timed out', { sessionId, ms: Date.now() - startedAt });
+        } else {
+            observeDuration({ outcome: 'error' });
+            opencodeErrors.inc({ type: inputType });
+            promptLog.error('Prompt failed', { sessionId, error });
+        }
+        
+        // If it was stopped, confirm and mark the user's message as cancelled
+        if (error.message.startsWith('ABORTED')) {
+            await setPromptReaction(chatId, options.messageId, '🤷');
+            await telegramBot.sendMessage(chatId, '⏹ Stopped.', msgOptions);
+            return null;
+        }
+        
+        // If it's a timeout, stop the prompt so the next queued one doesn't go to a busy session,
+        // then send a helpful message instead of throwing
         if (error.message.includes('TIMEOUT')) {
+            try {
+                const result = await opencode.session.abort({ path: { id: sessionId }, query: sessionQuery(sessionId, chatId) });
+                if (result?.error) throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+            } catch (abortError) {
+                promptLog.warn('Could not abort timed-out prompt', { sessionId, error: abortError });
+            }
+            await setPromptReaction(chatId, options.messageId, '😴');
             await telegramBot.sendMessage(chatId, 
-                `⚠️ Request timed out.\n\n` +
-                `The AI may be waiting for input or asking a question in the terminal.\n` +
-                `Please check the OpenCode terminal UI to continue.`,
+                `⚠️ Request timed out and was stopped.\n\n` +
+                `The AI may have been waiting for input or asking a question in the terminal.\n` +
+                `Please check the OpenCode terminal UI, then send your message again.`,
                 msgOptions
             );
             return null;
@@ -694,41 +1756,421 @@ async function streamWithProgress(chatId, sessionId, parts, modelObj, context =
     }
 }
 
-// Extract video frames with progress callback
-async function extractFrames(videoPath, framesDir, videoDuration, onProgress) {
-    return new Promise((resolve, reject) => {
-        const framePattern = path.join(framesDir, 'frame_%03d.jpg');
-        
-        const args = [
-            '-i', videoPath,
-            '-vf', 'fps=1/2',
-            '-q:v', '2',
-            '-progress', 'pipe:1',  // Output progress to stdout
-            '-nostats',
-            framePattern
-        ];
-        
-        console.log(`[VIDEO DEBUG] Running ffmpeg with args:`, args);
-        const startTime = Date.now();
-        
-        if (onProgress) onProgress('starting', 0);
-        
-        const ffmpeg = spawn('ffmpeg', args);
-        
-        let lastProgress = 0;
-        let stderrData = '';
+// ============================================
+// Tool Call Rendering
+// ============================================
+
+// How tool calls are shown: off, summary (one line each + "Show output" buttons) or full (output inline)
+const TOOL_DISPLAY_MODES = ['off', 'summary', 'full'];
+const DEFAULT_TOOL_DISPLAY = TOOL_DISPLAY_MODES.includes(process.env.TOOL_DISPLAY_DEFAULT)
+    ? process.env.TOOL_DISPLAY_DEFAULT
+    : 'summary';
+// Tool outputs behind "Show output" buttons (short key -> { tool, output }), oldest dropped first
+const toolOutputs = new Map();
+const MAX_TOOL_OUTPUTS = 500;
+let toolOutputCounter = 0;
+
+// The most telling input of a tool call (command, path, pattern, ...)
+function describeToolInput(input = {}) {
+    const value = input.command || input.filePath || input.path || input.pattern || input.url ||
+        input.query || input.description || Object.values(input).find(v => typeof v === 'string') || '';
+    const oneLine = String(value).replace(/\s+/g, ' ').trim();
+    return oneLine.length > 80 ? `${oneLine.slice(0, 80)}...` : oneLine;
+}
+
+// Short outcome of a tool call, e.g. "exit 0", "12 lines" or "❌ not found"
+function describeToolResult(state = {}) {
+    if (state.status === 'error') {
+        return `❌ ${String(state.error || 'failed').split('\n')[0].slice(0, 80)}`;
+    }
+    if (state.status !== 'completed') {
+        return '⏳ running';
+    }
+    if (state.metadata?.exit !== undefined) {
+        return `exit ${state.metadata.exit}`;
+    }
+    const output = state.output || '';
+    if (!output.trim()) return 'done';
+    const lines = output.trimEnd().split('\n').length;
+    return `${lines} line${lines === 1 ? '' : 's'}`;
+}
+
+/**
+ * One-line summary of a tool part, e.g. "🔧 bash: npm test → exit 0"
+ */
+function formatToolSummary(part) {
+    const input = describeToolInput(part.state?.input);
+    return `🔧 ${part.tool}${input ? `: ${input}` : ''} → ${describeToolResult(part.state)}`;
+}
+
+function getToolOutput(part) {
+    return part.state?.status === 'error' ? (part.state.error || '') : (part.state?.output || '');
+}
+
+/**
+ * Send the tool calls of a prompt response according to the chat's tool display mode
+ */
+async function sendToolSummaries(chatId, response, msgOptions = {}) {
+    const mode = getChatSetting(chatId, 'tools', DEFAULT_TOOL_DISPLAY);
+    const toolParts = (response?.parts || []).filter(p => p.type === 'tool');
+    if (mode === 'off' || toolParts.length === 0) return;
+    
+    if (mode === 'full') {
+        // Each tool call with its output in an expandable blockquote, packed into as few messages as fit
+        const blocks = toolParts.map(part => {
+            let output = getToolOutput(part).trim();
+            if (output.length > 1500) {
+                output = `${output.slice(0, 1500)}\n... (${output.length - 1500} more characters)`;
+            }
+            const summary = `<b>${escapeHtml(formatToolSummary(part))}</b>`;
+            return output ? `${summary}\n<blockquote expandable>${escapeHtml(output)}</blockquote>` : summary;
+        });
         
-        ffmpeg.stdout.on('data', (data) => {
-            const output = data.toString();
-            // Parse progress output - look for out_time_ms
-            const timeMatch = output.match(/out_time_ms=(\d+)/);
-            if (timeMatch && videoDuration > 0) {
-                const currentTimeMs = parseInt(timeMatch[1]);
-                const currentTimeSec = currentTimeMs / 1000000;
-                const progress = Math.min(99, Math.round((currentTimeSec / videoDuration) * 100));
-                if (progress > lastProgress) {
+        const messages = [];
+        for (const block of blocks) {
+            const last = messages[messages.length - 1];
+            if (last && last.length + block.length + 1 <= 3900) {
+                messages[messages.length - 1] = `${last}\n${block}`;
+            } else {
+                messages.push(block);
+            }
+        }
+        for (const html of messages) {
+            await telegramBot.sendMessage(chatId, html, { ...msgOptions, parse_mode: 'HTML' });
+        }
+        return;
+    }
+    
+    // Summary: one line per tool call, outputs behind "Show output" buttons
+    const lines = [];
+    const buttons = [];
+    toolParts.forEach((part, idx) => {
+        lines.push(`${idx + 1}. ${formatToolSummary(part)}`);
+        const output = getToolOutput(part);
+        if (output.trim() && buttons.length < 10) {
+            const key = String(++toolOutputCounter);
+            toolOutputs.set(key, { tool: part.tool, output });
+            if (toolOutputs.size > MAX_TOOL_OUTPUTS) {
+                toolOutputs.delete(toolOutputs.keys().next().value);
+            }
+            buttons.push({ text: `📄 Show output ${idx + 1}`, callback_data: `to_${key}` });
+        }
+    });
+    
+    const keyboard = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+        keyboard.push(buttons.slice(i, i + 2));
+    }
+    
+    const text = lines.join('\n');
+    await telegramBot.sendMessage(chatId, text.length > 4000 ? `${text.slice(0, 4000)}...` : text, {
+        ...msgOptions,
+        ...(keyboard.length > 0 ? { reply_markup: { inline_keyboard: keyboard } } : {})
+    });
+}
+
+// ============================================
+// Voice Replies
+// ============================================
+
+// When replies are also sent as voice notes: off, on, or auto (only for prompts that came in as voice)
+const VOICE_REPLY_MODES = ['off', 'on', 'auto'];
+// Longest text read out in one voice note (OpenAI TTS accepts 4096 characters)
+const VOICE_REPLY_MAX_LENGTH = parseInt(process.env.TTS_MAX_CHARS) || 4000;
+
+function shouldReplyWithVoice(chatId, inputType) {
+    if (!synthesizer) return false;
+    const mode = getChatSetting(chatId, 'voice', 'off');
+    return mode === 'on' || (mode === 'auto' && inputType === 'voice');
+}
+
+/**
+ * Synthesize a reply (code blocks summarised, Markdown stripped) and send it as a voice note
+ */
+async function sendVoiceReply(chatId, text, msgOptions = {}) {
+    const speech = prepareTextForSpeech(text || '', VOICE_REPLY_MAX_LENGTH);
+    if (!speech) return;
+    
+    try {
+        await telegramBot.sendChatAction(chatId, 'record_voice', msgOptions);
+    } catch (e) {
+        // Ignore chat action errors
+    }
+    
+    const audio = await synthesizer.synthesize(speech);
+    await telegramBot.sendVoice(chatId, audio, msgOptions, {
+        filename: 'reply.ogg',
+        contentType: 'audio/ogg'
+    });
+}
+
+// ============================================
+// Session Diffs
+// ============================================
+
+// Diffs up to this size are also shown inline in a code block
+const INLINE_DIFF_MAX_LENGTH = 3000;
+
+/**
+ * A session's changed files as [{ file, additions, deletions, patch }] (unified diff per file)
+ * Pass messageId to limit them to the changes made by one prompt
+ */
+async function getSessionFileDiffs(sessionId, chatId = null, messageId = null) {
+    const { data: fileDiffs, error } = await opencode.session.diff({
+        path: { id: sessionId },
+        query: sessionQuery(sessionId, chatId, messageId ? { messageID: messageId } : {})
+    });
+    if (error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(error)}`);
+    }
+    return (Array.isArray(fileDiffs) ? fileDiffs : []).map(d => ({
+        file: d.file,
+        additions: d.additions || 0,
+        deletions: d.deletions || 0,
+        patch: createTwoFilesPatch(`a/${d.file}`, `b/${d.file}`, d.before || '', d.after || '', '', '', {
+            headerOptions: { includeIndex: false, includeUnderline: false, includeFileHeaders: true }
+        })
+    }));
+}
+
+/**
+ * Send a session's file changes: per-file +/- summary, .patch document and (if small) an inline diff
+ * Pass messageId to limit the diff to the changes made by one prompt
+ * Returns false if there were no changes
+ */
+async function sendSessionDiff(chatId, sessionId, msgOptions = {}, messageId = null) {
+    const fileDiffs = await getSessionFileDiffs(sessionId, chatId, messageId);
+    if (fileDiffs.length === 0) {
+        return false;
+    }
+    
+    const patch = fileDiffs.map(d => d.patch).join('');
+    const additions = fileDiffs.reduce((sum, d) => sum + d.additions, 0);
+    const deletions = fileDiffs.reduce((sum, d) => sum + d.deletions, 0);
+    
+    const summaryLines = fileDiffs.map(d => `+${d.additions} −${d.deletions}  ${d.file}`);
+    let summary = `📝 ${fileDiffs.length} file${fileDiffs.length === 1 ? '' : 's'} changed (+${additions} −${deletions})\n\n${summaryLines.join('\n')}`;
+    if (summary.length > 1000) {
+        // Keep it within a document caption
+        summary = `${summary.slice(0, 1000)}\n...`;
+    }
+    
+    await telegramBot.sendDocument(chatId, Buffer.from(patch), {
+        ...msgOptions,
+        caption: summary
+    }, {
+        filename: `session-${sessionId.slice(0, 12)}${messageId ? `-${messageId.slice(-8)}` : ''}.patch`,
+        contentType: 'text/x-diff'
+    });
+    
+    if (patch.length <= INLINE_DIFF_MAX_LENGTH) {
+        await telegramBot.sendMessage(chatId, `<pre><code class="language-diff">${escapeHtml(patch)}</code></pre>`, {
+            ...msgOptions,
+            parse_mode: 'HTML'
+        });
+    }
+    return true;
+}
+
+// Set a reaction on the message that started a prompt (if known)
+// Only Telegram's fixed set of reaction emoji is accepted (e.g. 👍 🤷 😴, but not ⚠️)
+async function setPromptReaction(chatId, messageId, emoji) {
+    if (!messageId) return;
+    try {
+        await telegramBot.setMessageReaction(chatId, messageId, {
+            reaction: [{ type: 'emoji', emoji }]
+        });
+    } catch (error) {
+        promptLog.warn('Could not set reaction', { messageId, emoji, error });
+    }
+}
+
+/**
+ * Abort a session's running prompt on the OpenCode server and drop the prompts queued behind it
+ * Returns true if a prompt started from Telegram was waiting on it (that prompt reports the stop itself)
+ */
+async function abortPrompt(sessionId) {
+    // Drop the waiting prompts first, so none of them starts once the running one stops
+    const dropped = promptQueue.cancelWaiting(sessionId);
+    if (dropped > 0) {
+        promptLog.info('Queued prompts dropped', { sessionId, count: dropped });
+    }
+    
+    const result = await opencode.session.abort({ path: { id: sessionId }, query: sessionQuery(sessionId) });
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+    
+    const active = activePrompts.get(sessionId);
+    if (active?.cancel) {
+        active.cancel();
+        return true;
+    }
+    return false;
+}
+
+// ============================================
+// Permission Requests
+// ============================================
+
+// Sessions with a prompt in flight (sessionId -> { chatId, topicId })
+const activePrompts = new Map();
+// Permission requests posted to Telegram (short key -> request), keyed short to fit callback_data
+const pendingPermissionRequests = new Map();
+let permissionCounter = 0;
+
+const PERMISSION_RESPONSE_LABELS = {
+    once: '✅ Allowed once',
+    always: '✅ Always allowed',
+    reject: '🚫 Denied'
+};
+
+// permission.updated is the classic event, permission.asked the newer one
+function isPermissionRequestEvent(eventType) {
+    return eventType === 'permission.updated' || eventType === 'permission.asked';
+}
+
+// Find the chat (and topic) a session's output should go to
+function findChatForSession(sessionId) {
+    const active = activePrompts.get(sessionId);
+    if (active) return active;
+    
+    const topicId = sessionToTopic.get(sessionId);
+    if (SYNC_GROUP_ID && topicId) {
+        return { chatId: SYNC_GROUP_ID, topicId };
+    }
+    
+    for (const [chatId, chatSessionId] of userSessions) {
+        if (chatSessionId === sessionId) {
+            return { chatId, topicId: null };
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe a permission request (tool, command or path) for the Telegram message
+ */
+function formatPermissionRequest(request) {
+    const metadata = request.metadata || {};
+    const tool = request.permission || request.type || 'unknown';
+    const patterns = request.patterns || (request.pattern ? [].concat(request.pattern) : []);
+    
+    const lines = ['🔐 Permission requested', '', `Tool: ${tool}`];
+    if (metadata.command) {
+        lines.push(`Command: ${metadata.command}`);
+    }
+    const filePath = metadata.filePath || metadata.filepath || metadata.path;
+    if (filePath) {
+        lines.push(`Path: ${filePath}`);
+    }
+    if (!metadata.command && !filePath && patterns.length > 0) {
+        lines.push(`Pattern: ${patterns.join(', ')}`);
+    }
+    if (request.title) {
+        lines.push('', request.title);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Post a permission request from the event stream with Allow/Deny buttons
+ */
+async function handlePermissionRequest(request) {
+    const sessionId = request?.sessionID;
+    if (!request?.id || !sessionId || !telegramBot) return;
+    
+    const target = findChatForSession(sessionId);
+    if (!target) {
+        permissionLog.info('No chat found for session, leaving request to the terminal', { sessionId, requestId: request.id });
+        return;
+    }
+    
+    const key = String(++permissionCounter);
+    const text = formatPermissionRequest(request);
+    
+    try {
+        const sent = await telegramBot.sendMessage(target.chatId, text, {
+            ...(target.topicId ? { message_thread_id: target.topicId } : {}),
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: 'Allow once', callback_data: `perm_${key}_once` },
+                        { text: 'Always allow', callback_data: `perm_${key}_always` }
+                    ],
+                    [{ text: 'Deny', callback_data: `perm_${key}_reject` }]
+                ]
+            }
+        });
+        
+        pendingPermissionRequests.set(key, {
+            sessionId,
+            permissionId: request.id,
+            chatId: target.chatId,
+            messageId: sent.message_id,
+            text
+        });
+        permissionLog.info('Asked chat about permission request', { chatId: target.chatId, requestId: request.id, sessionId });
+    } catch (error) {
+        permissionLog.error('Failed to post permission request', { sessionId, error });
+    }
+}
+
+/**
+ * Permission answered (from Telegram or the terminal) - update the message and drop the buttons
+ */
+async function handlePermissionReplied(properties) {
+    const permissionId = properties?.permissionID || properties?.requestID;
+    const response = properties?.response || properties?.reply;
+    
+    for (const [key, pending] of pendingPermissionRequests) {
+        if (pending.permissionId !== permissionId) continue;
+        
+        pendingPermissionRequests.delete(key);
+        try {
+            await telegramBot.editMessageText(
+                `${pending.text}\n\n${PERMISSION_RESPONSE_LABELS[response] || `Answered: ${response}`}`,
+                { chat_id: pending.chatId, message_id: pending.messageId }
+            );
+        } catch (e) { /* ignore edit errors */ }
+    }
+}
+
+// Extract video frames with progress callback
+async function extractFrames(videoPath, framesDir, videoDuration, onProgress) {
+    return new Promise((resolve, reject) => {
+        const framePattern = path.join(framesDir, 'frame_%03d.jpg');
+        
+        const args = [
+            '-i', videoPath,
+            '-vf', 'fps=1/2',
+            '-q:v', '2',
+            '-progress', 'pipe:1',  // Output progress to stdout
+            '-nostats',
+            framePattern
+        ];
+        
+        videoLog.debug('Running ffmpeg', { args });
+        const startTime = Date.now();
+        
+        if (onProgress) onProgress('starting', 0);
+        
+        const ffmpeg = spawn('ffmpeg', args);
+        
+        let lastProgress = 0;
+        let stderrData = '';
+        
+        ffmpeg.stdout.on('data', (data) => {
+            const output = data.toString();
+            // Parse progress output - look for out_time_ms
+            const timeMatch = output.match(/out_time_ms=(\d+)/);
+            if (timeMatch && videoDuration > 0) {
+                const currentTimeMs = parseInt(timeMatch[1]);
+                const currentTimeSec = currentTimeMs / 1000000;
+                const progress = Math.min(99, Math.round((currentTimeSec / videoDuration) * 100));
+                if (progress > lastProgress) {
                     lastProgress = progress;
-                    console.log(`[VIDEO DEBUG] FFmpeg progress: ${progress}%`);
+                    videoLog.debug(`FFmpeg progress: ${progress}%`);
                     if (onProgress) onProgress('progress', progress);
                 }
             }
@@ -741,18 +2183,17 @@ async function extractFrames(videoPath, framesDir, videoDuration, onProgress) {
         ffmpeg.on('close', (code) => {
             const elapsed = Date.now() - startTime;
             if (code === 0) {
-                console.log(`[VIDEO DEBUG] FFmpeg completed in ${elapsed}ms`);
+                videoLog.debug(`FFmpeg completed in ${elapsed}ms`);
                 if (onProgress) onProgress('done', 100);
                 resolve();
             } else {
-                console.error(`[VIDEO DEBUG] FFmpeg failed with code ${code}`);
-                console.error(`[VIDEO DEBUG] FFmpeg stderr:`, stderrData);
+                videoLog.error(`FFmpeg failed with code ${code}`, { stderr: stderrData.slice(-2000) });
                 reject(new Error(`ffmpeg failed with code ${code}: ${stderrData.slice(-500)}`));
             }
         });
         
         ffmpeg.on('error', (error) => {
-            console.error(`[VIDEO DEBUG] FFmpeg spawn error:`, error);
+            videoLog.error('FFmpeg spawn error', { error });
             reject(new Error(`ffmpeg failed to start: ${error.message}`));
         });
         
@@ -764,21 +2205,417 @@ async function extractFrames(videoPath, framesDir, videoDuration, onProgress) {
     });
 }
 
+// ============================================
+// Session Browser (/sessions)
+// ============================================
+
+const SESSIONS_PAGE_SIZE = 8;
+// Chats waiting for a new session title (chatId -> { sessionId, userId, expires })
+const pendingSessionRenames = new Map();
+
+// Escape user-provided text for Telegram's legacy Markdown
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+// Human-readable "time ago" for a millisecond timestamp
+function formatRelativeTime(timestamp) {
+    if (!timestamp) return 'unknown';
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+// List the sessions of the chat's project, most recently active first
+async function listSessionsByActivity(chatId) {
+    const project = getChatProject(chatId);
+    const { data: sessions } = await opencode.session.list(project ? { query: { directory: project.path } } : {});
+    return (sessions || []).slice().sort((a, b) => (b.time?.updated || 0) - (a.time?.updated || 0));
+}
+
+async function getSessionMessages(sessionId, chatId = null) {
+    const { data } = await opencode.session.messages({ path: { id: sessionId }, query: sessionQuery(sessionId, chatId) });
+    return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Build one page of the session browser (message text + inline keyboard)
+ */
+async function renderSessionsPage(chatId, page) {
+    const sessions = await listSessionsByActivity(chatId);
+    if (sessions.length === 0) {
+        return { text: 'No sessions found. Use /new to create one.', options: {} };
+    }
+    
+    const pageCount = Math.ceil(sessions.length / SESSIONS_PAGE_SIZE);
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = page * SESSIONS_PAGE_SIZE;
+    const end = Math.min(start + SESSIONS_PAGE_SIZE, sessions.length);
+    const currentSession = userSessions.get(chatId);
+    
+    const keyboard = sessions.slice(start, end).map(session => [{
+        text: `${session.id === currentSession ? '✓ ' : ''}${(session.title || 'Untitled').slice(0, 40)} · ${formatRelativeTime(session.time?.updated)}`,
+        callback_data: `sv_${session.id}`
+    }]);
+    
+    const nav = [];
+    if (page > 0) {
+        nav.push({ text: '⬅️ Previous', callback_data: `spage_${page - 1}` });
+    }
+    if (end < sessions.length) {
+        nav.push({ text: '➡️ Next', callback_data: `spage_${page + 1}` });
+    }
+    if (nav.length > 0) keyboard.push(nav);
+    
+    return {
+        text: `*Sessions* (${sessions.length} total, showing ${start + 1}-${end})\n` +
+            `Project: \`${getChatProject(chatId)?.name || 'server default'}\`\n\n` +
+            `Tap a session to switch, rename, delete or preview it.\n\n` +
+            `Current: \`${currentSession ? currentSession.slice(0, 8) + '...' : 'none'}\``,
+        options: {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: keyboard }
+        }
+    };
+}
+
+/**
+ * Build the detail view for one session: title, last activity, message count and actions
+ */
+async function renderSessionDetails(chatId, sessionId) {
+    const { data: session } = await opencode.session.get({ path: { id: sessionId }, query: sessionQuery(sessionId, chatId) });
+    if (!session) {
+        return null;
+    }
+    
+    const messages = await getSessionMessages(sessionId, chatId);
+    const isCurrent = userSessions.get(chatId) === sessionId;
+    const updated = session.time?.updated;
+    
+    return {
+        text: `*${escapeMarkdown(session.title || 'Untitled')}*${isCurrent ? ' (current)' : ''}\n\n` +
+            `ID: \`${session.id}\`\n` +
+            `Last activity: ${updated ? new Date(updated).toISOString().replace('T', ' ').slice(0, 16) : 'unknown'} (${formatRelativeTime(updated)})\n` +
+            `Messages: ${messages.length}`,
+        options: {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: isCurrent ? '✓ Active' : '✅ Switch to this', callback_data: `ss_${session.id}` },
+                        { text: '✏️ Rename', callback_data: `sr_${session.id}` }
+                    ],
+                    [
+                        { text: '👁 Preview', callback_data: `sp_${session.id}` },
+                        { text: '🗑 Delete', callback_data: `sd_${session.id}` }
+                    ],
+                    [{ text: '⬅️ Back to sessions', callback_data: 'spage_0' }]
+                ]
+            }
+        }
+    };
+}
+
+/**
+ * Handle session browser buttons (spage_, sv_, ss_, sr_, sp_, sd_, sdy_)
+ */
+async function handleSessionBrowserCallback(callbackQuery) {
+    const { data, message } = callbackQuery;
+    const chatId = message.chat.id;
+    const userId = callbackQuery.from?.id;
+    const separator = data.indexOf('_');
+    const action = data.slice(0, separator);
+    const arg = data.slice(separator + 1);
+    const editOptions = { chat_id: chatId, message_id: message.message_id };
+    
+    // Browsing and previewing are open to read-only users; switching, renaming and deleting are not
+    const minRole = ['ss', 'sr', 'sd', 'sdy'].includes(action) ? 'member' : 'readonly';
+    if (!isAuthorizedUser(userId, minRole)) {
+        await telegramBot.answerCallbackQuery(callbackQuery.id, {
+            text: 'You are not authorized to manage sessions.',
+            show_alert: true
+        });
+        return;
+    }
+    
+    if (action === 'spage') {
+        const view = await renderSessionsPage(chatId, parseInt(arg, 10) || 0);
+        await telegramBot.answerCallbackQuery(callbackQuery.id);
+        await telegramBot.editMessageText(view.text, { ...editOptions, ...view.options });
+        return;
+    }
+    
+    if (action === 'sv') {
+        const view = await renderSessionDetails(chatId, arg);
+        if (!view) {
+            await telegramBot.answerCallbackQuery(callbackQuery.id, { text: 'Session not found.', show_alert: true });
+            return;
+        }
+        await telegramBot.answerCallbackQuery(callbackQuery.id);
+        await telegramBot.editMessageText(view.text, { ...editOptions, ...view.options });
+        return;
+    }
+    
+    if (action === 'ss') {
+        // Remember where the session lives before the chat project changes
+        const { directory } = sessionQuery(arg, chatId);
+        if (directory && !sessionDirectories.has(arg)) {
+            sessionDirectories.set(arg, directory);
+        }
+        userSessions.set(chatId, arg);
+        await telegramBot.answerCallbackQuery(callbackQuery.id, { text: 'Switched session' });
+        const view = await renderSessionDetails(chatId, arg);
+        if (view) {
+            await telegramBot.editMessageText(view.text, { ...editOptions, ...view.options });
+        }
+        return;
+    }
+    
+    if (action === 'sr') {
+        pendingSessionRenames.set(chatId, { sessionId: arg, userId, expires: Date.now() + 5 * 60 * 1000 });
+        await telegramBot.answerCallbackQuery(callbackQuery.id);
+        await telegramBot.sendMessage(chatId,
+            `Send the new title for session \`${arg.slice(0, 8)}...\`\n\nOr /cancel to keep the current one.`,
+            { parse_mode: 'Markdown', message_thread_id: message.message_thread_id }
+        );
+        return;
+    }
+    
+    if (action === 'sp') {
+        await telegramBot.answerCallbackQuery(callbackQuery.id);
+        const exchange = getLatestExchange(await getSessionMessages(arg, chatId));
+        if (!exchange) {
+            await telegramBot.sendMessage(chatId, 'This session has no complete exchange yet.', {
+                message_thread_id: message.message_thread_id
+            });
+            return;
+        }
+        const userContent = extractMessageContent(exchange.userMessage) || '(no text)';
+        const assistantContent = extractMessageContent(exchange.assistantMessage) || '(no text)';
+        const clip = (text) => text.length > 1500 ? `${text.slice(0, 1500)}...` : text;
+        await telegramBot.sendMessage(chatId,
+            `👁 Last exchange in ${arg.slice(0, 8)}...\n\n` +
+            `User:\n${clip(userContent)}\n\n` +
+            `Assistant:\n${clip(assistantContent)}`,
+            { message_thread_id: message.message_thread_id }
+        );
+        return;
+    }
+    
+    if (action === 'sd') {
+        await telegramBot.answerCallbackQuery(callbackQuery.id);
+        await telegramBot.editMessageText(
+            `Delete session \`${arg.slice(0, 8)}...\`?\n\nThis cannot be undone.`,
+            {
+                ...editOptions,
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '🗑 Yes, delete', callback_data: `sdy_${arg}` },
+                        { text: 'Cancel', callback_data: `sv_${arg}` }
+                    ]]
+                }
+            }
+        );
+        return;
+    }
+    
+    if (action === 'sdy') {
+        const { error } = await opencode.session.delete({ path: { id: arg }, query: sessionQuery(arg, chatId) });
+        if (error) {
+            await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                text: `Failed to delete: ${JSON.stringify(error)}`.slice(0, 200),
+                show_alert: true
+            });
+            return;
+        }
+        if (userSessions.get(chatId) === arg) {
+            userSessions.delete(chatId);
+        }
+        sessionDirectories.delete(arg);
+        await telegramBot.answerCallbackQuery(callbackQuery.id, { text: 'Session deleted' });
+        const view = await renderSessionsPage(chatId, 0);
+        await telegramBot.editMessageText(view.text, { ...editOptions, ...view.options });
+    }
+}
+
+/**
+ * Apply a pending rename if this text message is the new title
+ * Returns true if the message was consumed
+ */
+async function handlePendingSessionRename(msg) {
+    const chatId = msg.chat.id;
+    const pending = pendingSessionRenames.get(chatId);
+    if (!pending || pending.userId !== msg.from?.id) return false;
+    
+    pendingSessionRenames.delete(chatId);
+    if (pending.expires < Date.now()) return false;
+    
+    const title = msg.text.trim().slice(0, 200);
+    const msgOptions = msg.message_thread_id ? { message_thread_id: msg.message_thread_id } : {};
+    try {
+        const { error } = await opencode.session.update({
+            path: { id: pending.sessionId },
+            query: sessionQuery(pending.sessionId, chatId),
+            body: { title }
+        });
+        if (error) {
+            throw new Error(JSON.stringify(error));
+        }
+        await telegramBot.sendMessage(chatId, `✏️ Session renamed to: ${title}`, msgOptions);
+    } catch (error) {
+        log.error('Error renaming session', { error });
+        await telegramBot.sendMessage(chatId, `Error renaming session: ${error.message}`, msgOptions);
+    }
+    return true;
+}
+
+// ============================================
+// Document Uploads
+// ============================================
+
+const MAX_DOCUMENT_SIZE_MB = parseFloat(process.env.MAX_DOCUMENT_SIZE_MB) || 20;
+const MAX_ARCHIVE_UNPACKED_MB = parseFloat(process.env.MAX_ARCHIVE_UNPACKED_MB) || 100;
+const MAX_ARCHIVE_FILES = parseInt(process.env.MAX_ARCHIVE_FILES) || 2000;
+
+// MIME types for documents passed to the AI as file parts (source and text files go as text/plain)
+const DOCUMENT_MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+const TEXT_EXTENSIONS = new Set([
+    '.txt', '.md', '.markdown', '.rst', '.log', '.csv', '.tsv', '.json', '.jsonl', '.yaml', '.yml', '.toml',
+    '.ini', '.cfg', '.conf', '.env', '.xml', '.html', '.htm', '.css', '.scss', '.sass', '.less',
+    '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.py', '.rb', '.go', '.rs', '.java',
+    '.kt', '.kts', '.scala', '.swift', '.c', '.h', '.cc', '.cpp', '.hpp', '.cs', '.php', '.pl', '.lua',
+    '.r', '.sh', '.bash', '.zsh', '.fish', '.ps1', '.sql', '.graphql', '.proto', '.gradle', '.tf',
+    '.dockerfile', '.patch', '.diff'
+]);
+const TEXT_FILENAMES = new Set(['dockerfile', 'makefile', 'readme', 'license', '.gitignore', '.dockerignore']);
+const ARCHIVE_EXTENSIONS = ['.tar.gz', '.tgz', '.tar', '.zip'];
+
+/**
+ * Work out how a document should be handled from its name and MIME type
+ * Returns { kind: 'file', mime } or { kind: 'archive', extension }, or null if unsupported
+ */
+function classifyDocument(fileName, mimeType) {
+    const lowerName = fileName.toLowerCase();
+    const archiveExtension = ARCHIVE_EXTENSIONS.find(ext => lowerName.endsWith(ext));
+    if (archiveExtension) {
+        return { kind: 'archive', extension: archiveExtension };
+    }
+    
+    const ext = path.extname(lowerName);
+    if (DOCUMENT_MIME_TYPES[ext]) {
+        return { kind: 'file', mime: DOCUMENT_MIME_TYPES[ext] };
+    }
+    if (TEXT_EXTENSIONS.has(ext) || TEXT_FILENAMES.has(lowerName) || mimeType?.startsWith('text/')) {
+        return { kind: 'file', mime: 'text/plain' };
+    }
+    return null;
+}
+
+// List all files below a directory (relative paths)
+function listFilesRecursive(dir, base = dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFilesRecursive(fullPath, base));
+        } else if (entry.isFile()) {
+            files.push(path.relative(base, fullPath));
+        }
+    }
+    return files;
+}
+
+// Entries of an archive as { type, size, name }, read from its listing without unpacking it
+// type is the first character of the mode: '-' file, 'd' directory, 'l' symlink, 'h' hardlink, ...
+async function listArchiveEntries(archivePath, extension) {
+    if (extension === '.zip') {
+        // zipinfo format: mode version os size flags method date time name (header and totals lines don't match)
+        const listing = await runCommand('unzip', ['-Z', archivePath]);
+        return listing.split('\n')
+            .map(line => line.match(/^(\S)\S*\s+\d+\.\d+\s+\S+\s+(\d+)\s+\S+\s+\S+\s+\S+\s+\S+ (.*)$/))
+            .filter(Boolean)
+            .map(([, type, size, name]) => ({ type, size: Number(size), name }));
+    }
+    
+    // tar verbose format: mode owner size date time name - every line is an entry
+    const listing = await runCommand('tar', ['--numeric-owner', '-tvf', archivePath]);
+    return listing.split('\n').filter(Boolean).map(line => {
+        const match = line.match(/^(\S)\S*\s+\S+\s+(\d+)\s+\d{4}-\d\d-\d\d\s+\d\d:\d\d(?::\d\d)?\s(.*)$/);
+        // Device entries ("major,minor" instead of a size) and anything unexpected
+        return match ? { type: match[1], size: Number(match[2]), name: match[3] } : { type: '?', size: 0, name: line };
+    });
+}
+
+/**
+ * Unpack an archive into destDir, enforcing the file count and unpacked size limits
+ * The archive is checked from its listing before anything is written; links and special files are refused
+ * Returns the list of unpacked files (relative to destDir)
+ */
+async function unpackArchive(archivePath, extension, destDir) {
+    const tooLarge = (count, bytes) => new Error(
+        `Archive is too large when unpacked (${count} files, ${(bytes / 1024 / 1024).toFixed(1)} MB; ` +
+        `limits are ${MAX_ARCHIVE_FILES} files and ${MAX_ARCHIVE_UNPACKED_MB} MB)`
+    );
+    const maxBytes = MAX_ARCHIVE_UNPACKED_MB * 1024 * 1024;
+    
+    const entries = await listArchiveEntries(archivePath, extension);
+    const unsupported = entries.find(entry => entry.type !== '-' && entry.type !== 'd');
+    if (unsupported) {
+        throw new Error(`Archive contains a link or special file (${unsupported.name.split(' -> ')[0]}), which is not accepted`);
+    }
+    const fileEntries = entries.filter(entry => entry.type === '-');
+    const listedBytes = fileEntries.reduce((sum, entry) => sum + entry.size, 0);
+    if (fileEntries.length > MAX_ARCHIVE_FILES || listedBytes > maxBytes) {
+        throw tooLarge(fileEntries.length, listedBytes);
+    }
+    
+    fs.mkdirSync(destDir, { recursive: true });
+    // unzip and GNU tar both strip absolute paths and ".." from member names
+    if (extension === '.zip') {
+        await runCommand('unzip', ['-q', '-o', archivePath, '-d', destDir]);
+    } else {
+        await runCommand('tar', ['-xf', archivePath, '-C', destDir, '--no-same-owner']);
+    }
+    
+    // Check again - a listing can understate what a crafted archive unpacks to
+    const files = listFilesRecursive(destDir);
+    const totalBytes = files.reduce((sum, file) => sum + fs.statSync(path.join(destDir, file)).size, 0);
+    if (files.length > MAX_ARCHIVE_FILES || totalBytes > maxBytes) {
+        fs.rmSync(destDir, { recursive: true, force: true });
+        throw tooLarge(files.length, totalBytes);
+    }
+    return files;
+}
+
 // Handle /start command
 if (telegramBot) {
     telegramBot.onText(/\/start/, async (msg) => {
-        if (!await checkUserAuthorized(msg)) return;
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
         
         const chatId = msg.chat.id;
         const userId = msg.from?.id;
         const currentModel = getUserModel(userId);
+        const project = getChatProject(chatId);
         await telegramBot.sendMessage(chatId, 
             `Welcome to OpenTelegram!\n\n` +
             `I connect you to OpenCode AI assistant.\n\n` +
-            `*Current Model:* \`${currentModel}\`\n\n` +
+            `<b>Current Model:</b> <code>${escapeHtml(currentModel)}</code>\n` +
+            `<b>Project:</b> <code>${escapeHtml(project ? `${project.name} (${project.path})` : 'server default')}</code>\n\n` +
             `Commands:\n` +
             `/new - Start a new session\n` +
-            `/sessions - List your sessions\n` +
+            `/project - Choose the project new sessions work in\n` +
+            `/sessions - Browse, switch and manage sessions\n` +
+            `/abort - Stop the running prompt\n` +
             `/models - Browse available models\n` +
             `/model - Show/set current model\n` +
             `/help - Show help\n\n` +
@@ -786,9 +2623,10 @@ if (telegramBot) {
             `- Text messages: Chat with the AI\n` +
             `- Voice messages: Send voice to transcribe and chat\n` +
             `- Photos: Send images with optional caption for AI analysis\n` +
-            `- Videos: Send videos to extract frames and analyze\n\n` +
-            `Just send me any message, voice note, photo, or video to chat with the AI!`,
-            { parse_mode: 'Markdown' }
+            `- Videos: Send videos to extract frames and analyze\n` +
+            `- Documents: Send source files, PDFs or archives with a caption as the instruction\n\n` +
+            `Just send me any message, voice note, photo, video, or document to chat with the AI!`,
+            { parse_mode: 'HTML' }
         );
     });
 
@@ -796,56 +2634,359 @@ if (telegramBot) {
     telegramBot.onText(/\/new/, async (msg) => {
         if (!await checkUserAuthorized(msg)) return;
         
-        const chatId = msg.chat.id;
+        const chatId = msg.chat.id;
+        
+        try {
+            await telegramBot.sendMessage(chatId, 'Creating new session...');
+            
+            const newSession = await createSessionForChat(chatId);
+            userSessions.set(chatId, newSession.id);
+            
+            await telegramBot.sendMessage(chatId, 
+                `New session created!\n\nSession ID: <code>${escapeHtml(newSession.id)}</code>\n` +
+                `Project: <code>${escapeHtml(getChatProject(chatId)?.name || 'server default')}</code>\n\nSend me a message to start chatting.`,
+                { parse_mode: 'HTML' }
+            );
+        } catch (error) {
+            log.error('Error creating session', { error });
+            await telegramBot.sendMessage(chatId, `Error creating session: ${error.message}`);
+        }
+    });
+
+    // Handle /project command - list project roots and pick the one this chat works in
+    telegramBot.onText(/^\/project(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+        if (!await checkUserAuthorized(msg)) return;
+        
+        const chatId = msg.chat.id;
+        const name = match[1]?.trim();
+        
+        if (PROJECTS.length === 0) {
+            await telegramBot.sendMessage(chatId, 'No projects configured. Set PROJECT_ROOTS (e.g. api=/srv/api,/srv/web) on the bot.');
+            return;
+        }
+        
+        if (name) {
+            const project = name === 'default' ? null : PROJECTS.find(p => p.name.toLowerCase() === name.toLowerCase());
+            if (project === undefined) {
+                await telegramBot.sendMessage(chatId, `Unknown project "${name}". Use /project to see the list.`);
+                return;
+            }
+            const changed = selectChatProject(chatId, project);
+            await telegramBot.sendMessage(chatId, changed
+                ? `📁 Switched to ${project ? `${project.name} (${project.path})` : 'the server default directory'}. Your next message starts a new session there.`
+                : `📁 Already using ${project ? project.name : 'the server default directory'}.`);
+            return;
+        }
+        
+        const view = renderProjectPicker(chatId);
+        await telegramBot.sendMessage(chatId, view.text, view.options);
+    });
+
+    // Handle /sessions command - paginated session browser
+    telegramBot.onText(/\/sessions/, async (msg) => {
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
+        
+        const chatId = msg.chat.id;
+        
+        try {
+            const view = await renderSessionsPage(chatId, 0);
+            await telegramBot.sendMessage(chatId, view.text, view.options);
+        } catch (error) {
+            log.error('Error listing sessions', { error });
+            await telegramBot.sendMessage(chatId, `Error listing sessions: ${error.message}`);
+        }
+    });
+
+    // Handle /cancel command - drop a pending session rename
+    telegramBot.onText(/^\/cancel(?:@\w+)?\s*$/, async (msg) => {
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
+        
+        const chatId = msg.chat.id;
+        if (pendingSessionRenames.delete(chatId)) {
+            await telegramBot.sendMessage(chatId, 'Rename cancelled.');
+        }
+    });
+
+    // Handle /abort command - stop the prompt running in this chat's session
+    telegramBot.onText(/^\/abort(?:@\w+)?\s*$/, async (msg) => {
+        if (!await checkUserAuthorized(msg)) return;
+        
+        const chatId = msg.chat.id;
+        const topicId = msg.message_thread_id;
+        const msgOptions = topicId ? { message_thread_id: topicId } : {};
+        // In a synced topic, abort the topic's session; otherwise the chat's current session
+        const sessionId = (topicId && topicToSession.get(topicId)) || userSessions.get(chatId);
+        
+        if (!sessionId) {
+            await telegramBot.sendMessage(chatId, 'No active session. Nothing to stop.', msgOptions);
+            return;
+        }
+        
+        try {
+            const stoppedTelegramPrompt = await abortPrompt(sessionId);
+            if (!stoppedTelegramPrompt) {
+                // Nothing from Telegram was waiting on it, so confirm here
+                await telegramBot.sendMessage(chatId, `⏹ Abort sent to session \`${sessionId.slice(0, 8)}...\``, {
+                    ...msgOptions,
+                    parse_mode: 'Markdown'
+                });
+            }
+        } catch (error) {
+            log.error('Error aborting session', { error });
+            await telegramBot.sendMessage(chatId, `Error stopping session: ${error.message}`, msgOptions);
+        }
+    });
+
+    // Handle /tools command - show or set how tool calls are displayed in this chat
+    telegramBot.onText(/^\/tools(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
+        
+        const chatId = msg.chat.id;
+        const mode = match[1]?.trim().toLowerCase();
+        
+        if (mode && !TOOL_DISPLAY_MODES.includes(mode)) {
+            await telegramBot.sendMessage(chatId, `Unknown mode "${mode}". Use /tools off, /tools summary or /tools full.`);
+            return;
+        }
+        
+        // Read-only users can see the setting but not change it
+        if (mode) {
+            if (!await checkUserAuthorized(msg)) return;
+            setChatSetting(chatId, 'tools', mode);
+        }
+        
+        const current = getChatSetting(chatId, 'tools', DEFAULT_TOOL_DISPLAY);
+        await telegramBot.sendMessage(chatId,
+            `🔧 Tool calls: *${current}*\n\n` +
+            `off - don't show tool calls\n` +
+            `summary - one line per tool call, output behind a button\n` +
+            `full - tool calls with their output inline`,
+            { parse_mode: 'Markdown' }
+        );
+    });
+
+    // Handle /diff command - send the session's file changes, or toggle sending them after each prompt
+    telegramBot.onText(/^\/diff(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
+        
+        const chatId = msg.chat.id;
+        const topicId = msg.message_thread_id;
+        const msgOptions = topicId ? { message_thread_id: topicId } : {};
+        const args = (match[1] || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+        
+        if (args[0] === 'auto') {
+            if (args[1] === 'on' || args[1] === 'off') {
+                if (!await checkUserAuthorized(msg)) return;
+                setChatSetting(chatId, 'autoDiff', args[1] === 'on');
+            }
+            const autoDiff = getChatSetting(chatId, 'autoDiff', false);
+            await telegramBot.sendMessage(chatId,
+                `Automatic diffs after each prompt: *${autoDiff ? 'on' : 'off'}*\n\n` +
+                `Use \`/diff auto on\` or \`/diff auto off\` to change it.`,
+                { ...msgOptions, parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        // In a synced topic, diff the topic's session; otherwise the chat's current session
+        const sessionId = (topicId && topicToSession.get(topicId)) || userSessions.get(chatId);
+        if (!sessionId) {
+            await telegramBot.sendMessage(chatId, 'No active session. Use /new or /sessions first.', msgOptions);
+            return;
+        }
+        
+        try {
+            await telegramBot.sendChatAction(chatId, 'upload_document');
+            if (!await sendSessionDiff(chatId, sessionId, msgOptions)) {
+                await telegramBot.sendMessage(chatId, 'No file changes in this session.', msgOptions);
+            }
+        } catch (error) {
+            log.error('Error getting session diff', { error });
+            await telegramBot.sendMessage(chatId, `Error getting diff: ${error.message}`, msgOptions);
+        }
+    });
+
+    // Handle /language command - language hint for voice transcription in this chat
+    telegramBot.onText(/^\/language(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
+        
+        const chatId = msg.chat.id;
+        const code = match[1]?.trim().toLowerCase();
+        
+        if (code && !await checkUserAuthorized(msg)) return;
+        if (code === 'auto') {
+            setChatSetting(chatId, 'language', null);
+        } else if (code) {
+            if (!/^[a-z]{2,3}$/.test(code)) {
+                await telegramBot.sendMessage(chatId, 'Use an ISO 639-1 language code like `en` or `de`, or `auto`.', { parse_mode: 'Markdown' });
+                return;
+            }
+            setChatSetting(chatId, 'language', code);
+        }
+        
+        const current = getChatSetting(chatId, 'language', process.env.TRANSCRIBE_LANGUAGE || null);
+        await telegramBot.sendMessage(chatId,
+            `🎤 Transcription language: *${current || 'auto-detect'}*\n\n` +
+            `Use \`/language <code>\` (e.g. \`/language de\`) or \`/language auto\`.`,
+            { parse_mode: 'Markdown' }
+        );
+    });
+
+    // Handle /voice command - show or set whether replies are also sent as voice notes
+    telegramBot.onText(/^\/voice(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
+        
+        const chatId = msg.chat.id;
+        const mode = match[1]?.trim().toLowerCase();
+        
+        if (mode && !VOICE_REPLY_MODES.includes(mode)) {
+            await telegramBot.sendMessage(chatId, `Unknown mode "${mode}". Use /voice on, /voice off or /voice auto.`);
+            return;
+        }
+        
+        if (mode) {
+            if (!await checkUserAuthorized(msg)) return;
+            setChatSetting(chatId, 'voice', mode);
+        }
+        
+        const current = getChatSetting(chatId, 'voice', 'off');
+        await telegramBot.sendMessage(chatId,
+            `🔊 Voice replies: *${current}*\n\n` +
+            `off - text replies only\n` +
+            `on - every reply is also sent as a voice note\n` +
+            `auto - voice note only when you asked by voice` +
+            (synthesizer ? '' : `\n\n⚠️ Text-to-speech is not configured on this bot (set \`TTS_PROVIDER\`).`),
+            { parse_mode: 'Markdown' }
+        );
+    });
+
+    // Handle /app command - open the Mini App (transcript, tool output, diffs)
+    telegramBot.onText(/^\/app\b/, async (msg) => {
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
+        
+        const chatId = msg.chat.id;
+        if (!MINI_APP_URL) {
+            await telegramBot.sendMessage(chatId, 'The app is not configured on this bot (set MINI_APP_URL to its public HTTPS address).');
+            return;
+        }
+        // Telegram only opens Mini App buttons in private chats
+        if (msg.chat.type !== 'private') {
+            await telegramBot.sendMessage(chatId, 'Open the app from a private chat with me: send /app there.', {
+                message_thread_id: msg.message_thread_id
+            });
+            return;
+        }
+        await telegramBot.sendMessage(chatId, '📱 Read the full transcript, tool output and diffs of your sessions:', {
+            reply_markup: { inline_keyboard: [[{ text: 'Open app', web_app: { url: MINI_APP_URL } }]] }
+        });
+    });
+
+    // Handle /users command - list everyone with access and open access requests
+    telegramBot.onText(/^\/users/, async (msg) => {
+        if (!await checkUserAuthorized(msg, 'admin')) return;
+        
+        const chatId = msg.chat.id;
+        const lines = [];
+        for (const role of ROLES) {
+            const users = Array.from(userRoles.entries()).filter(([, entry]) => entry.role === role);
+            if (users.length === 0) continue;
+            lines.push(`*${ROLE_LABELS[role]}*`);
+            for (const [userId] of users) {
+                lines.push(`• ${escapeMarkdown(formatUser(userId))} \`${userId}\``);
+            }
+            lines.push('');
+        }
+        if (accessRequests.size > 0) {
+            lines.push('*🔑 waiting for access*');
+            for (const [userId] of accessRequests) {
+                lines.push(`• ${escapeMarkdown(formatUser(userId))} \`${userId}\``);
+            }
+            lines.push('');
+        }
+        lines.push('/allow <id|@username> - give access\n/role <id|@username> <role> - change a role\n/revoke <id|@username> - remove access');
+        
+        await telegramBot.sendMessage(chatId, `*Users*\n\n${lines.join('\n')}`, { parse_mode: 'Markdown' });
+    });
+
+    // Handle /allow and /role commands - give a user access or change their role
+    telegramBot.onText(/^\/(allow|role)(?:@\S+)?(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
+        if (!await checkUserAuthorized(msg, 'admin')) return;
+        
+        const chatId = msg.chat.id;
+        const [, command, userArg, roleArg] = match;
+        if (!userArg || (command === 'role' && !roleArg)) {
+            await telegramBot.sendMessage(chatId, command === 'allow'
+                ? 'Usage: /allow <user id|@username> [member|readonly|admin]'
+                : 'Usage: /role <user id|@username> <owner|admin|member|readonly>');
+            return;
+        }
+        
+        const targetId = resolveUserArg(userArg);
+        if (!targetId) {
+            await telegramBot.sendMessage(chatId, `I don't know ${userArg} yet. Ask them to message the bot first, or use their numeric user ID.`);
+            return;
+        }
+        
+        const role = roleArg ? parseRole(roleArg) : 'member';
+        if (!role) {
+            await telegramBot.sendMessage(chatId, `Unknown role "${roleArg}". Use owner, admin, member or readonly.`);
+            return;
+        }
+        if (command === 'role' && !getUserRole(targetId)) {
+            await telegramBot.sendMessage(chatId, `${formatUser(targetId)} has no access yet. Use /allow first.`);
+            return;
+        }
         
-        try {
-            await telegramBot.sendMessage(chatId, 'Creating new session...');
-            
-            const { data: newSession } = await opencode.session.create({});
-            userSessions.set(chatId, newSession.id);
-            
-            await telegramBot.sendMessage(chatId, 
-                `New session created!\n\nSession ID: \`${newSession.id}\`\n\nSend me a message to start chatting.`,
-                { parse_mode: 'Markdown' }
-            );
-        } catch (error) {
-            console.error('Error creating session:', error);
-            await telegramBot.sendMessage(chatId, `Error creating session: ${error.message}`);
+        const problem = checkRoleChange(msg.from.id, targetId, role);
+        if (problem) {
+            await telegramBot.sendMessage(chatId, problem);
+            return;
+        }
+        
+        const request = accessRequests.get(targetId);
+        if (request) {
+            // Also closes the request on every admin's message
+            await resolveAccessRequest(targetId, role, msg.from.id);
+        } else {
+            setUserRole(targetId, role, msg.from.id);
+            await notifyUser(targetId, `You now have access to this bot (${ROLE_LABELS[role]}). Send /start to begin.`);
         }
+        accessLog.info(`Role set to ${role}`, { userId: targetId, by: msg.from.id });
+        await telegramBot.sendMessage(chatId, `✅ ${formatUser(targetId)} is now ${ROLE_LABELS[role]}.`);
     });
 
-    // Handle /sessions command
-    telegramBot.onText(/\/sessions/, async (msg) => {
-        if (!await checkUserAuthorized(msg)) return;
+    // Handle /revoke command - remove a user's access
+    telegramBot.onText(/^\/revoke(?:@\S+)?(?:\s+(\S+))?/, async (msg, match) => {
+        if (!await checkUserAuthorized(msg, 'admin')) return;
         
         const chatId = msg.chat.id;
+        if (!match[1]) {
+            await telegramBot.sendMessage(chatId, 'Usage: /revoke <user id|@username>');
+            return;
+        }
         
-        try {
-            const { data: sessions } = await opencode.session.list();
-            
-            if (!sessions || sessions.length === 0) {
-                await telegramBot.sendMessage(chatId, 'No sessions found. Use /new to create one.');
-                return;
-            }
-
-            const sessionList = sessions.slice(0, 10).map((s, i) => 
-                `${i + 1}. \`${s.id.slice(0, 8)}...\` - ${s.title || 'Untitled'}`
-            ).join('\n');
-
-            const currentSession = userSessions.get(chatId);
-            await telegramBot.sendMessage(chatId, 
-                `Recent sessions:\n\n${sessionList}\n\nCurrent: \`${currentSession ? currentSession.slice(0, 8) + '...' : 'none'}\``,
-                { parse_mode: 'Markdown' }
-            );
-        } catch (error) {
-            console.error('Error listing sessions:', error);
-            await telegramBot.sendMessage(chatId, `Error listing sessions: ${error.message}`);
+        const targetId = resolveUserArg(match[1]);
+        // Entries with an unknown role grant nothing, but can still be removed
+        if (!targetId || !userRoles.has(targetId)) {
+            await telegramBot.sendMessage(chatId, `${match[1]} has no access.`);
+            return;
+        }
+        
+        const problem = checkRoleChange(msg.from.id, targetId, null);
+        if (problem) {
+            await telegramBot.sendMessage(chatId, problem);
+            return;
         }
+        
+        userRoles.delete(targetId);
+        accessLog.info('Access revoked', { userId: targetId, by: msg.from.id });
+        await notifyUser(targetId, 'Your access to this bot was removed.');
+        await telegramBot.sendMessage(chatId, `🚫 ${formatUser(targetId)} no longer has access.`);
     });
 
     // Handle /help command
     telegramBot.onText(/\/help/, async (msg) => {
-        if (!await checkUserAuthorized(msg)) return;
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
         
         const chatId = msg.chat.id;
         await telegramBot.sendMessage(chatId,
@@ -854,7 +2995,15 @@ if (telegramBot) {
             `*Commands:*\n` +
             `/start - Welcome message\n` +
             `/new - Start a new chat session\n` +
-            `/sessions - List recent sessions\n` +
+            `/project - Choose the project (working directory)\n` +
+            `/sessions - Browse, switch, rename and delete sessions\n` +
+            `/abort - Stop the running prompt\n` +
+            `/tools - Show tool calls: off, summary or full\n` +
+            `/diff - Get the session's file changes (/diff auto on|off)\n` +
+            `/language - Set the voice transcription language\n` +
+            `/voice - Voice replies: on, off or auto\n` +
+            `/app - Open the transcript, tool output and diffs in the Mini App\n` +
+            `/users - Who has access (admins: /allow, /role, /revoke)\n` +
             `/model - Show current model and set a new one\n` +
             `/models - Browse and select available models\n` +
             `/help - Show this help\n\n` +
@@ -866,11 +3015,12 @@ if (telegramBot) {
             `- Send text messages to chat with OpenCode AI\n` +
             `- Send voice messages to transcribe and get AI responses\n` +
             `- Send photos with optional captions for AI image analysis\n` +
-            `- Send videos to extract frames and analyze\n\n` +
+            `- Send videos to extract frames and analyze\n` +
+            `- Send documents (source files, PDFs, archives) with a caption as the instruction\n\n` +
             `*Tips:*\n` +
             `- Use /new to start fresh\n` +
             `- Long responses may be split into multiple messages\n` +
-            `- Voice messages are transcribed using OpenAI Whisper\n` +
+            `- Voice messages and audio files are transcribed with Whisper (OpenAI or a local model)\n` +
             `- Images are saved to the server and analyzed by the AI\n` +
             `- Videos are processed with ffmpeg to extract frames for analysis`,
             { parse_mode: 'Markdown' }
@@ -893,10 +3043,10 @@ if (telegramBot) {
                 // Set the user's model preference (keyed by userId)
                 userModels.set(userId, model.id);
                 await telegramBot.sendMessage(chatId,
-                    `✅ *Model set to:* ${model.name}\n\n` +
-                    `ID: \`${model.id}\`\n\n` +
+                    `✅ <b>Model set to:</b> ${escapeHtml(model.name)}\n\n` +
+                    `ID: <code>${escapeHtml(model.id)}</code>\n\n` +
                     `Your next message will use this model.`,
-                    { parse_mode: 'Markdown' }
+                    { parse_mode: 'HTML' }
                 );
             } else {
                 await telegramBot.sendMessage(chatId,
@@ -906,17 +3056,17 @@ if (telegramBot) {
             }
         } else {
             await telegramBot.sendMessage(chatId,
-                `*Current Model:*\n\`${currentModel}\`\n\n` +
-                `Run \`/models\` to see and select other models.\n` +
-                `Or use \`/model <model-id>\` to set a specific model.`,
-                { parse_mode: 'Markdown' }
+                `<b>Current Model:</b>\n<code>${escapeHtml(currentModel)}</code>\n\n` +
+                `Run /models to see and select other models.\n` +
+                `Or use <code>/model &lt;model-id&gt;</code> to set a specific model.`,
+                { parse_mode: 'HTML' }
             );
         }
     });
 
     // Handle /models command - show inline keyboard with model options
     telegramBot.onText(/\/models/, async (msg) => {
-        if (!await checkUserAuthorized(msg)) return;
+        if (!await checkUserAuthorized(msg, 'readonly')) return;
         
         const chatId = msg.chat.id;
         const userId = msg.from?.id;
@@ -940,11 +3090,11 @@ if (telegramBot) {
         }
 
         await telegramBot.sendMessage(chatId,
-            `*Available Models* (${models.length} total)\n\n` +
+            `<b>Available Models</b> (${models.length} total)\n\n` +
             `Tap a model to select it.\n\n` +
-            `Current: \`${currentModel}\``,
+            `Current: <code>${escapeHtml(currentModel)}</code>`,
             {
-                parse_mode: 'Markdown',
+                parse_mode: 'HTML',
                 reply_markup: {
                     inline_keyboard: keyboard
                 }
@@ -958,6 +3108,103 @@ if (telegramBot) {
         const chatId = message.chat.id;
         const userId = callbackQuery.from?.id;
         
+        // Handle the "Request access" button on the unauthorized message
+        if (data === 'accreq') {
+            if (getUserRole(userId)) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, { text: 'You already have access.' });
+                return;
+            }
+            if (accessRequests.has(String(userId))) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'Your request is waiting for an admin.',
+                    show_alert: true
+                });
+                return;
+            }
+            
+            const delivered = await requestAccess(callbackQuery.from, chatId);
+            await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                text: delivered ? 'Request sent to the admins.' : 'No admin could be reached. Ask the bot owner directly.',
+                show_alert: true
+            });
+            return;
+        }
+        
+        // Handle admin answers to access requests (acc_<userId>_<member|readonly|reject>)
+        if (data && data.startsWith('acc_')) {
+            const [, targetId, decision] = data.split('_');
+            
+            // Only the answers the request buttons offer
+            const problem = !['member', 'readonly', 'reject'].includes(decision)
+                ? 'Unknown answer to an access request.'
+                : isAuthorizedUser(userId, 'admin')
+                    ? (decision === 'reject' ? null : checkRoleChange(userId, targetId, decision))
+                    : 'Only admins can answer access requests.';
+            if (problem) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, { text: problem, show_alert: true });
+                return;
+            }
+            if (!accessRequests.has(targetId)) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This request was already answered.',
+                    show_alert: true
+                });
+                return;
+            }
+            
+            await resolveAccessRequest(targetId, decision, userId);
+            await telegramBot.answerCallbackQuery(callbackQuery.id, { text: decision === 'reject' ? 'Rejected' : 'Approved' });
+            return;
+        }
+        
+        // Handle project picker buttons (proj_<index> or proj_default)
+        if (data && data.startsWith('proj_')) {
+            if (!isAuthorizedUser(userId)) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'You are not authorized to change the project.',
+                    show_alert: true
+                });
+                return;
+            }
+            
+            const arg = data.slice('proj_'.length);
+            const project = arg === 'default' ? null : PROJECTS[parseInt(arg, 10)];
+            if (project === undefined) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, { text: 'This project is no longer configured.', show_alert: true });
+                return;
+            }
+            
+            const changed = selectChatProject(chatId, project);
+            await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                text: changed ? `Switched to ${project ? project.name : 'server default'} - next message starts a new session` : 'Already selected'
+            });
+            if (changed) {
+                const view = renderProjectPicker(chatId);
+                try {
+                    await telegramBot.editMessageText(view.text, { chat_id: chatId, message_id: message.message_id, ...view.options });
+                } catch (e) {
+                    // Ignore edit errors
+                }
+            }
+            return;
+        }
+        
+        // Handle session browser buttons
+        if (data && /^(spage|sv|ss|sr|sp|sd|sdy)_/.test(data)) {
+            try {
+                await handleSessionBrowserCallback(callbackQuery);
+            } catch (error) {
+                log.error('Error handling session browser action', { error });
+                try {
+                    await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                        text: `Error: ${error.message}`.slice(0, 200),
+                        show_alert: true
+                    });
+                } catch (e) { /* already answered */ }
+            }
+            return;
+        }
+        
         // Handle pagination
         if (data && data.startsWith('page_')) {
             const page = parseInt(data.replace('page_', ''), 10);
@@ -986,13 +3233,13 @@ if (telegramBot) {
             
             await telegramBot.answerCallbackQuery(callbackQuery.id);
             await telegramBot.editMessageText(
-                `*Available Models* (${models.length} total, showing ${start + 1}-${Math.min(end, models.length)})\n\n` +
+                `<b>Available Models</b> (${models.length} total, showing ${start + 1}-${Math.min(end, models.length)})\n\n` +
                 `Tap a model to select it.\n\n` +
-                `Current: \`${currentModel}\``,
+                `Current: <code>${escapeHtml(currentModel)}</code>`,
                 {
                     chat_id: chatId,
                     message_id: message.message_id,
-                    parse_mode: 'Markdown',
+                    parse_mode: 'HTML',
                     reply_markup: {
                         inline_keyboard: keyboard
                     }
@@ -1001,11 +3248,121 @@ if (telegramBot) {
             return;
         }
         
+        // Handle "Show output" buttons on tool summaries (to_<key>)
+        if (data && data.startsWith('to_')) {
+            const entry = toolOutputs.get(data.slice('to_'.length));
+            if (!isAuthorizedUser(userId, 'readonly')) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'You are not authorized to view tool output.',
+                    show_alert: true
+                });
+                return;
+            }
+            if (!entry) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This output is no longer available.',
+                    show_alert: true
+                });
+                return;
+            }
+            
+            await telegramBot.answerCallbackQuery(callbackQuery.id);
+            // Up to 3 messages of output; <pre> keeps the formatting
+            const chunks = splitMessage(entry.output.trim(), 3000).slice(0, 3);
+            for (let i = 0; i < chunks.length; i++) {
+                const header = i === 0 ? `<b>🔧 ${escapeHtml(entry.tool)} output</b>\n` : '';
+                await telegramBot.sendMessage(chatId, `${header}<pre>${escapeHtml(chunks[i])}</pre>`, {
+                    parse_mode: 'HTML',
+                    message_thread_id: message.message_thread_id
+                });
+            }
+            return;
+        }
+        
+        // Handle the Stop button on progress/streaming messages (abort_<sessionId>)
+        if (data && data.startsWith('abort_')) {
+            const sessionId = data.slice('abort_'.length);
+            
+            if (!isAuthorizedUser(userId)) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'You are not authorized to stop prompts.',
+                    show_alert: true
+                });
+                return;
+            }
+            
+            try {
+                await abortPrompt(sessionId);
+                await telegramBot.answerCallbackQuery(callbackQuery.id, { text: 'Stopping...' });
+            } catch (error) {
+                log.error('Error aborting session', { error });
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: `Failed to stop: ${error.message}`.slice(0, 200),
+                    show_alert: true
+                });
+            }
+            return;
+        }
+        
+        // Handle permission answers (perm_<key>_<once|always|reject>)
+        if (data && data.startsWith('perm_')) {
+            const [, key, response] = data.split('_');
+            const pending = pendingPermissionRequests.get(key);
+            
+            if (!isAuthorizedUser(userId)) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'You are not authorized to answer permission requests.',
+                    show_alert: true
+                });
+                return;
+            }
+            
+            if (!pending) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This permission request was already answered or has expired.',
+                    show_alert: true
+                });
+                return;
+            }
+            
+            try {
+                const result = await opencode.postSessionIdPermissionsPermissionId({
+                    path: { id: pending.sessionId, permissionID: pending.permissionId },
+                    query: sessionQuery(pending.sessionId),
+                    body: { response }
+                });
+                if (result?.error) {
+                    throw new Error(JSON.stringify(result.error));
+                }
+                
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: PERMISSION_RESPONSE_LABELS[response]
+                });
+                // Update the message right away (the permission.replied event may arrive later or not at all)
+                await handlePermissionReplied({ permissionID: pending.permissionId, response });
+            } catch (error) {
+                permissionLog.error('Failed to answer permission request', { error });
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: `Failed to answer: ${error.message}`.slice(0, 200),
+                    show_alert: true
+                });
+            }
+            return;
+        }
+        
         // Handle model selection
         if (data && data.startsWith('m_')) {
             const idx = parseInt(data.replace('m_', ''), 10);
             const model = modelIndex.get(idx);
             
+            if (!isAuthorizedUser(userId)) {
+                await telegramBot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'You are not authorized to change the model.',
+                    show_alert: true
+                });
+                return;
+            }
+            
             if (model) {
                 // Set the user's model preference (keyed by userId)
                 userModels.set(userId, model.id);
@@ -1016,14 +3373,14 @@ if (telegramBot) {
                 });
                 
                 await telegramBot.editMessageText(
-                    `✅ *Model Changed*\n\n` +
-                    `*${model.name}*\n` +
-                    `\`${model.id}\`\n\n` +
+                    `✅ <b>Model Changed</b>\n\n` +
+                    `<b>${escapeHtml(model.name)}</b>\n` +
+                    `<code>${escapeHtml(model.id)}</code>\n\n` +
                     `Your next message will use this model.`,
                     {
                         chat_id: chatId,
                         message_id: message.message_id,
-                        parse_mode: 'Markdown'
+                        parse_mode: 'HTML'
                     }
                 );
             } else {
@@ -1040,8 +3397,8 @@ if (telegramBot) {
         // Skip commands
         if (msg.text && msg.text.startsWith('/')) return;
         
-        // Skip voice, audio, photo, and video messages - handled by separate events
-        if (msg.voice || msg.audio || msg.photo || msg.video) return;
+        // Skip voice, audio, photo, video and document messages - handled by separate events
+        if (msg.voice || msg.audio || msg.photo || msg.video || msg.document) return;
         
         const chatId = msg.chat.id;
         const text = msg.text;
@@ -1050,7 +3407,7 @@ if (telegramBot) {
         
         // Ignore messages sent before bot started (old messages from queue after restart)
         if (msgTime < botStartTime) {
-            console.log(`[MESSAGE] Ignoring old message (msg time: ${msgTime}, bot start: ${botStartTime})`);
+            messageLog.debug('Ignoring old message', { msgTime, botStartTime });
             return;
         }
         
@@ -1067,7 +3424,7 @@ if (telegramBot) {
         // If this is the sync group but NOT in a Forum Topic (General chat), only respond if bot is mentioned
         // IMPORTANT: Check this BEFORE authorization to avoid sending unauthorized messages in group chats
         if (isSyncGroup && !topicId && !isBotMentioned) {
-            console.log(`[MESSAGE] Ignoring message in sync group General chat (no topic, no mention): "${text?.substring(0, 50)}..."`);
+            messageLog.debug('Ignoring message in sync group General chat (no topic, no mention)');
             return;
         }
         
@@ -1079,11 +3436,14 @@ if (telegramBot) {
             return;
         }
         
+        // A pending rename from the session browser takes the next message as the new title
+        if (await handlePendingSessionRename(msg)) return;
+        
         // If bot was mentioned in sync group, strip the mention from the text for processing
         let processedText = text;
         if (isSyncGroup && isBotMentioned) {
             processedText = text.replace(new RegExp(`@${botUsername}\\s*`, 'gi'), '').trim();
-            console.log(`[MESSAGE] Bot mentioned in sync group, processing: "${processedText.substring(0, 50)}..."`);
+            messageLog.info('Bot mentioned in sync group, processing', { text: processedText });
             
             // If only the mention was sent with no actual message, prompt for input
             if (!processedText) {
@@ -1098,22 +3458,13 @@ if (telegramBot) {
         
         // Check if this is a reply in a synced topic (OpenCode session sync)
         if (topicId && topicToSession.has(topicId)) {
-            console.log(`[SYNC] Received message in synced topic ${topicId}: "${text.substring(0, 50)}..."`);
-            try {
-                await telegramBot.setMessageReaction(chatId, msg.message_id, {
-                    reaction: [{ type: 'emoji', emoji: '⏳' }]
-                });
-            } catch (e) { /* ignore */ }
+            syncLog.info('Received message in synced topic', { topicId, text });
             
+            // handleSyncTopicReply sets the processing/done/error reactions itself
             try {
                 await handleSyncTopicReply(topicId, msg, text);
-                try {
-                    await telegramBot.setMessageReaction(chatId, msg.message_id, {
-                        reaction: [{ type: 'emoji', emoji: '✅' }]
-                    });
-                } catch (e) { /* ignore */ }
             } catch (error) {
-                console.error('[SYNC] Error handling sync topic reply:', error);
+                syncLog.error('Error handling sync topic reply', { topicId, error });
                 try {
                     await telegramBot.setMessageReaction(chatId, msg.message_id, {
                         reaction: [{ type: 'emoji', emoji: '❌' }]
@@ -1123,7 +3474,7 @@ if (telegramBot) {
             return;
         }
 
-        console.log(`[MESSAGE] Received text message from chatId: ${chatId}, text: "${processedText.substring(0, 100)}${processedText.length > 100 ? '...' : ''}"`);
+        messageLog.info('Received text message', { text: processedText });
 
         try {
             // Add reaction to show we're working on it
@@ -1133,14 +3484,14 @@ if (telegramBot) {
                 });
             } catch (reactionError) {
                 // Reactions may not be supported in all chats
-                console.log(`[MESSAGE] Could not set reaction: ${reactionError.message}`);
+                messageLog.debug('Could not set reaction', { error: reactionError });
             }
             // Get or create session
             let sessionId = userSessions.get(chatId);
             
             if (!sessionId) {
                 // Create new session automatically
-                const { data: newSession } = await opencode.session.create({});
+                const newSession = await createSessionForChat(chatId);
                 sessionId = newSession.id;
                 userSessions.set(chatId, sessionId);
                 // Mark as Telegram-initiated so we don't sync back to Telegram
@@ -1160,69 +3511,48 @@ if (telegramBot) {
                 [{ type: 'text', text: processedText }], 
                 modelObj,
                 `🤔 Processing your message...`,
-                topicId  // Pass topicId so replies go to the same thread
+                topicId,  // Pass topicId so replies go to the same thread
+                { messageId: msg.message_id }
             );
 
-            console.log(`Prompt with model ${userModel} (${JSON.stringify(modelObj)}), response:`, JSON.stringify(response, null, 2));
+            messageLog.debug('Prompt finished', { model: userModel, messageId: response?.info?.id, parts: response?.parts?.length });
 
             // Extract text from the response
-            let responseText = '';
-            
-            if (response && response.parts) {
-                // Response has parts array
-                responseText = response.parts
-                    .filter(p => p.type === 'text')
-                    .map(p => p.text)
-                    .join('\n');
-            } else if (response && response.content) {
-                // Response has content
-                if (typeof response.content === 'string') {
-                    responseText = response.content;
-                } else if (Array.isArray(response.content)) {
-                    responseText = response.content
-                        .filter(p => p.type === 'text')
-                        .map(p => p.text)
-                        .join('\n');
-                }
-            }
+            const responseText = getResponseText(response);
 
-            if (responseText) {
+            if (streamedResponses.has(response)) {
+                // Already delivered by live streaming
+            } else if (response === null) {
+                // Timed out or stopped - streamWithProgress already told the user
+            } else if (responseText) {
                 // Split long messages (Telegram limit is 4096)
-                const maxLen = 4000;
                 const msgOptions = topicId ? { message_thread_id: topicId } : {};
-                if (responseText.length > maxLen) {
-                    const parts = [];
-                    for (let i = 0; i < responseText.length; i += maxLen) {
-                        parts.push(responseText.slice(i, i + maxLen));
-                    }
-                    for (const part of parts) {
-                        await telegramBot.sendMessage(chatId, part, msgOptions);
-                    }
-                } else {
-                    await telegramBot.sendMessage(chatId, responseText, msgOptions);
-                }
+                await sendFormattedMessage(chatId, responseText, msgOptions);
             } else {
                 const msgOptions = topicId ? { message_thread_id: topicId } : {};
                 await telegramBot.sendMessage(chatId, 'No response received. Please try again.', msgOptions);
             }
 
         } catch (error) {
-            console.error('Error processing message:', error);
+            messageLog.error('Error processing message', { error });
             const msgOptions = topicId ? { message_thread_id: topicId } : {};
             await telegramBot.sendMessage(chatId, `Error: ${error.message}`, msgOptions);
         }
     });
 
-    // Handle voice messages
-    telegramBot.on('voice', async (msg) => {
+    // Handle voice notes and audio files (mp3/m4a/wav/...) - transcribe, then prompt with the text
+    const handleAudioPrompt = async (msg, media, kind) => {
         if (!await checkUserAuthorized(msg)) return;
         
         const chatId = msg.chat.id;
+        const label = kind === 'voice' ? 'voice message' : 'audio file';
         
-        console.log(`[VOICE] Received voice message from chatId: ${chatId}, duration: ${msg.voice.duration}s`);
+        voiceLog.info(`Received ${label}`, { duration: media.duration });
         
-        if (!process.env.OPENAI_API_KEY) {
-            await telegramBot.sendMessage(chatId, 'Voice input is not configured. Please add OPENAI_API_KEY to the environment.');
+        if (!transcriber) {
+            await telegramBot.sendMessage(chatId,
+                'Voice input is not configured. Set OPENAI_API_KEY, or TRANSCRIBE_PROVIDER with an OpenAI-compatible or local backend.'
+            );
             return;
         }
         
@@ -1234,50 +3564,59 @@ if (telegramBot) {
                 });
             } catch (reactionError) {
                 // Reactions may not be supported in all chats
-                console.log(`[VOICE] Could not set reaction: ${reactionError.message}`);
+                voiceLog.debug('Could not set reaction', { error: reactionError });
             }
             
             // Send typing indicator
             await telegramBot.sendChatAction(chatId, 'typing');
             
-            // Get voice file info
-            const voiceFileId = msg.voice.file_id;
-            const voiceFile = await telegramBot.getFile(voiceFileId);
+            // Get voice/audio file info
+            const voiceFile = await telegramBot.getFile(media.file_id);
             const voiceFileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${voiceFile.file_path}`;
             
-            // Download the voice file
+            // Download the file
             const response = await fetch(voiceFileUrl);
             const voiceBuffer = Buffer.from(await response.arrayBuffer());
             
-            // Save to temp file
-            const tempFile = path.join(os.tmpdir(), `voice_${Date.now()}.ogg`);
+            // Save to temp file (keep the extension, transcription backends detect the format from it)
+            const fileExt = path.extname(voiceFile.file_path) || (kind === 'voice' ? '.ogg' : '.mp3');
+            const tempFile = path.join(os.tmpdir(), `${kind}_${Date.now()}${fileExt}`);
             fs.writeFileSync(tempFile, voiceBuffer);
             
-            // Transcribe with Whisper
-            const transcription = await openai.audio.transcriptions.create({
-                file: fs.createReadStream(tempFile),
-                model: 'whisper-1',
-            });
-            
-            // Clean up temp file
-            fs.unlinkSync(tempFile);
-            
-            const transcribedText = transcription.text;
+            // Transcribe with the configured provider, using the chat's language hint if any
+            const language = getChatSetting(chatId, 'language', process.env.TRANSCRIBE_LANGUAGE || null);
+            let transcribedText;
+            const observeTranscription = transcriptionDuration.startTimer({ provider: transcriber.name });
+            try {
+                transcribedText = await transcriber.transcribe(tempFile, { language });
+                observeTranscription({ outcome: 'ok' });
+                voiceLog.info('Transcribed', { provider: transcriber.name, transcript: transcribedText });
+            } catch (transcribeError) {
+                observeTranscription({ outcome: 'error' });
+                throw transcribeError;
+            } finally {
+                // Clean up temp file
+                fs.rmSync(tempFile, { force: true });
+            }
             
             if (!transcribedText || transcribedText.trim().length === 0) {
-                await telegramBot.sendMessage(chatId, 'Could not transcribe the voice message. Please try again.');
+                await telegramBot.sendMessage(chatId, `Could not transcribe the ${label}. Please try again.`);
                 return;
             }
             
             // Show the transcribed text
-            await telegramBot.sendMessage(chatId, `🎤 *Voice Transcription:*\n_${transcribedText}_`, { parse_mode: 'Markdown' });
+            await telegramBot.sendMessage(chatId, `🎤 <b>${kind === 'voice' ? 'Voice' : 'Audio'} Transcription:</b>\n${escapeHtml(transcribedText)}`, { parse_mode: 'HTML' });
+            
+            // An audio file's caption is the instruction for what to do with the transcript
+            const caption = (msg.caption || '').trim();
+            const promptText = caption ? `${caption}\n\nTranscript:\n${transcribedText}` : transcribedText;
             
             // Process the transcribed text like a regular message
             let sessionId = userSessions.get(chatId);
             
             if (!sessionId) {
                 // Create new session automatically
-                const { data: newSession } = await opencode.session.create({});
+                const newSession = await createSessionForChat(chatId);
                 sessionId = newSession.id;
                 userSessions.set(chatId, sessionId);
             }
@@ -1292,53 +3631,35 @@ if (telegramBot) {
             const aiResponse = await streamWithProgress(
                 chatId, 
                 sessionId, 
-                [{ type: 'text', text: transcribedText }], 
+                [{ type: 'text', text: promptText }], 
                 modelObj,
-                `🎤 Voice: "${transcribedText.substring(0, 50)}${transcribedText.length > 50 ? '...' : ''}"`
+                `🎤 ${kind === 'voice' ? 'Voice' : 'Audio'}: "${transcribedText.substring(0, 50)}${transcribedText.length > 50 ? '...' : ''}"`,
+                null,
+                { messageId: msg.message_id, inputType: 'voice' }
             );
             
             // Extract text from the response
-            let responseText = '';
-            
-            if (aiResponse && aiResponse.parts) {
-                responseText = aiResponse.parts
-                    .filter(p => p.type === 'text')
-                    .map(p => p.text)
-                    .join('\n');
-            } else if (aiResponse && aiResponse.content) {
-                if (typeof aiResponse.content === 'string') {
-                    responseText = aiResponse.content;
-                } else if (Array.isArray(aiResponse.content)) {
-                    responseText = aiResponse.content
-                        .filter(p => p.type === 'text')
-                        .map(p => p.text)
-                        .join('\n');
-                }
-            }
+            const responseText = getResponseText(aiResponse);
             
-            if (responseText) {
+            if (streamedResponses.has(aiResponse)) {
+                // Already delivered by live streaming
+            } else if (aiResponse === null) {
+                // Timed out or stopped - streamWithProgress already told the user
+            } else if (responseText) {
                 // Split long messages (Telegram limit is 4096)
-                const maxLen = 4000;
-                if (responseText.length > maxLen) {
-                    const parts = [];
-                    for (let i = 0; i < responseText.length; i += maxLen) {
-                        parts.push(responseText.slice(i, i + maxLen));
-                    }
-                    for (const part of parts) {
-                        await telegramBot.sendMessage(chatId, part);
-                    }
-                } else {
-                    await telegramBot.sendMessage(chatId, responseText);
-                }
+                await sendFormattedMessage(chatId, responseText);
             } else {
                 await telegramBot.sendMessage(chatId, 'No response received. Please try again.');
             }
             
         } catch (error) {
-            console.error('Error processing voice message:', error);
-            await telegramBot.sendMessage(chatId, `Error processing voice message: ${error.message}`);
+            voiceLog.error(`Error processing ${label}`, { error });
+            await telegramBot.sendMessage(chatId, `Error processing ${label}: ${error.message}`);
         }
-    });
+    };
+    
+    telegramBot.on('voice', (msg) => handleAudioPrompt(msg, msg.voice, 'voice'));
+    telegramBot.on('audio', (msg) => handleAudioPrompt(msg, msg.audio, 'audio'));
 
     // Handle photo messages
     telegramBot.on('photo', async (msg) => {
@@ -1347,9 +3668,7 @@ if (telegramBot) {
         const chatId = msg.chat.id;
         const caption = msg.caption || '';
         
-        console.log(`[PHOTO] Received photo message from chatId: ${chatId}`);
-        console.log(`[PHOTO] Caption: "${caption}"`);
-        console.log(`[PHOTO] Photo array length: ${msg.photo?.length || 0}`);
+        photoLog.info('Received photo', { caption, sizes: msg.photo?.length || 0 });
         
         try {
             // Add reaction to show we're working on it
@@ -1359,7 +3678,7 @@ if (telegramBot) {
                 });
             } catch (reactionError) {
                 // Reactions may not be supported in all chats
-                console.log(`[PHOTO] Could not set reaction: ${reactionError.message}`);
+                photoLog.debug('Could not set reaction', { error: reactionError });
             }
             
             // Send typing indicator
@@ -1369,21 +3688,16 @@ if (telegramBot) {
             const photos = msg.photo;
             const largestPhoto = photos[photos.length - 1];
             const photoFileId = largestPhoto.file_id;
-            console.log(`[PHOTO DEBUG] Largest photo file_id: ${photoFileId}, size: ${largestPhoto.file_size} bytes`);
+            photoLog.debug('Getting file info from Telegram', { fileId: photoFileId, size: largestPhoto.file_size });
             
             // Get file info and download URL
-            console.log(`[PHOTO DEBUG] Getting file info from Telegram...`);
             const photoFile = await telegramBot.getFile(photoFileId);
-            console.log(`[PHOTO DEBUG] Got file info:`, photoFile);
-            
             const photoFileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${photoFile.file_path}`;
-            console.log(`[PHOTO DEBUG] Download URL: ${photoFileUrl.substring(0, 100)}...`);
             
             // Download the photo
-            console.log(`[PHOTO DEBUG] Downloading photo...`);
             const response = await fetch(photoFileUrl);
             const photoBuffer = Buffer.from(await response.arrayBuffer());
-            console.log(`[PHOTO DEBUG] Downloaded ${photoBuffer.length} bytes`);
+            photoLog.debug(`Downloaded ${photoBuffer.length} bytes`);
             
             // Save to uploads folder with unique filename
             const fileExt = path.extname(photoFile.file_path) || '.jpg';
@@ -1391,19 +3705,16 @@ if (telegramBot) {
             const uploadPath = path.join(__dirname, 'uploads', fileName);
             fs.writeFileSync(uploadPath, photoBuffer);
             
-            console.log(`[PHOTO DEBUG] Photo saved to: ${uploadPath}`);
+            photoLog.debug('Photo saved', { path: uploadPath });
             
             // Get or create session
             let sessionId = userSessions.get(chatId);
-            console.log(`[PHOTO DEBUG] Current session for chatId ${chatId}: ${sessionId || 'none (will create new)'}`);
-            
             if (!sessionId) {
                 // Create new session automatically
-                console.log(`[PHOTO DEBUG] Creating new session...`);
-                const { data: newSession } = await opencode.session.create({});
+                const newSession = await createSessionForChat(chatId);
                 sessionId = newSession.id;
                 userSessions.set(chatId, sessionId);
-                console.log(`[PHOTO DEBUG] New session created: ${sessionId}`);
+                photoLog.debug('New session created', { sessionId });
             }
             
             // Send typing indicator
@@ -1415,12 +3726,10 @@ if (telegramBot) {
             
             const promptText = caption.trim() ? caption : 'What do you see in this image?';
             parts.push({ type: 'text', text: promptText });
-            console.log(`[PHOTO DEBUG] Added text part: "${promptText}"`);
             
             // Use file part with local file URL
             const mimeType = fileExt === '.png' ? 'image/png' : 'image/jpeg';
             const fileUrl = `file://${uploadPath}`;
-            console.log(`[PHOTO DEBUG] Using file URL: ${fileUrl}, MIME type: ${mimeType}`);
             
             parts.push({ 
                 type: 'file', 
@@ -1428,93 +3737,163 @@ if (telegramBot) {
                 url: fileUrl,
                 filename: fileName
             });
-            console.log(`[PHOTO DEBUG] Added file part to request`);
             
             // Send to OpenCode
             const userId = msg.from?.id;
             const userModel = getUserModel(userId);
             const modelObj = parseModelId(userModel);
-            console.log(`[PHOTO DEBUG] User model: ${userModel}`);
-            console.log(`[PHOTO DEBUG] Parsed model object:`, modelObj);
-            console.log(`[PHOTO DEBUG] Session ID: ${sessionId}`);
-            console.log(`[PHOTO DEBUG] Request parts:`, JSON.stringify(parts.map(p => ({ ...p, source: p.source ? { ...p.source, data: p.source.data.substring(0, 50) + '...' } : undefined })), null, 2));
+            photoLog.debug('Sending prompt to OpenCode', { sessionId, model: userModel, mime: mimeType });
+            
+            const context = `📸 Photo Analysis\n💬 ${promptText.substring(0, 100)}${promptText.length > 100 ? '...' : ''}`;
+            const aiResponse = await streamWithProgress(chatId, sessionId, parts, modelObj, context, null, { messageId: msg.message_id, inputType: 'photo' });
             
-            console.log(`[PHOTO DEBUG] Sending prompt to OpenCode with streaming...`);
-            let aiResponse;
+            // Extract text from the response
+            const responseText = getResponseText(aiResponse);
+            
+            photoLog.debug('OpenCode response received', { parts: aiResponse?.parts?.length, reply: responseText });
+            
+            if (streamedResponses.has(aiResponse)) {
+                // Already delivered by live streaming
+            } else if (responseText && responseText.trim()) {
+                // Split long messages (Telegram limit is 4096)
+                await sendFormattedMessage(chatId, responseText);
+            } else if (aiResponse && aiResponse.parts && aiResponse.parts.length === 0) {
+                photoLog.warn('Empty parts array - model may not support images', { model: userModel });
+                await telegramBot.sendMessage(chatId, 'The AI model returned an empty response. This model may not support image analysis. Try using a vision-capable model like gpt-4o or claude-3-5-sonnet.');
+            } else if (aiResponse === null) {
+                // Timed out or stopped - streamWithProgress already told the user
+                photoLog.debug('Prompt timed out or was stopped');
+            } else if (aiResponse === undefined) {
+                photoLog.warn('Response is undefined');
+                await telegramBot.sendMessage(chatId, 'No response from the AI. Please try again or check if the server is running.');
+            } else {
+                await telegramBot.sendMessage(chatId, `Image received but the AI didn't return text. Response structure: ${Object.keys(aiResponse || {}).join(', ')}`);
+            }
+            
+        } catch (error) {
+            photoLog.error('Error processing photo message', { error, code: error.code });
+            await telegramBot.sendMessage(chatId, `Error processing photo: ${error.message}`);
+        }
+    });
+
+    // Handle document messages (source files, text, PDFs, images and archives)
+    telegramBot.on('document', async (msg) => {
+        if (!await checkUserAuthorized(msg)) return;
+        
+        const chatId = msg.chat.id;
+        const caption = msg.caption || '';
+        const document = msg.document;
+        const fileName = document.file_name || 'document';
+        const sizeMb = (document.file_size || 0) / 1024 / 1024;
+        
+        documentLog.info('Received document', { mime: document.mime_type, sizeMb: Number(sizeMb.toFixed(2)) });
+        
+        if (sizeMb > MAX_DOCUMENT_SIZE_MB) {
+            await telegramBot.sendMessage(chatId,
+                `❌ ${fileName} is ${sizeMb.toFixed(1)} MB. The limit for documents is ${MAX_DOCUMENT_SIZE_MB} MB.`
+            );
+            return;
+        }
+        
+        const docType = classifyDocument(fileName, document.mime_type);
+        if (!docType) {
+            await telegramBot.sendMessage(chatId,
+                `❌ Unsupported file type: ${fileName}\n\n` +
+                `Supported: source and text files, PDFs, images, and .zip / .tar / .tar.gz archives.`
+            );
+            return;
+        }
+        
+        try {
+            // Add reaction to show we're working on it
             try {
-                const context = `📸 Photo Analysis\n💬 ${promptText.substring(0, 100)}${promptText.length > 100 ? '...' : ''}`;
-                aiResponse = await streamWithProgress(chatId, sessionId, parts, modelObj, context);
-                console.log(`[PHOTO DEBUG] OpenCode response received`);
-            } catch (promptError) {
-                console.error(`[PHOTO DEBUG] ERROR during opencode.session.prompt():`, promptError);
-                console.error(`[PHOTO DEBUG] Error message:`, promptError.message);
-                console.error(`[PHOTO DEBUG] Error stack:`, promptError.stack);
-                throw promptError;
+                await telegramBot.setMessageReaction(chatId, msg.message_id, {
+                    reaction: [{ type: 'emoji', emoji: '👀' }]
+                });
+            } catch (reactionError) {
+                // Reactions may not be supported in all chats
+                documentLog.debug('Could not set reaction', { error: reactionError });
+            }
+            
+            await telegramBot.sendChatAction(chatId, 'typing');
+            
+            // Download the document into the uploads folder
+            const docFile = await telegramBot.getFile(document.file_id);
+            const docFileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${docFile.file_path}`;
+            const response = await fetch(docFileUrl);
+            if (!response.ok) {
+                throw new Error(`Download failed with status ${response.status}`);
+            }
+            const docBuffer = Buffer.from(await response.arrayBuffer());
+            
+            const safeName = path.basename(fileName).replace(/[^\w.-]/g, '_');
+            const uploadsDir = path.join(__dirname, 'uploads');
+            fs.mkdirSync(uploadsDir, { recursive: true });
+            const uploadPath = path.join(uploadsDir, `doc_${chatId}_${Date.now()}_${safeName}`);
+            fs.writeFileSync(uploadPath, docBuffer);
+            documentLog.debug(`Saved ${docBuffer.length} bytes`, { path: uploadPath });
+            
+            // Get or create session
+            let sessionId = userSessions.get(chatId);
+            if (!sessionId) {
+                const newSession = await createSessionForChat(chatId);
+                sessionId = newSession.id;
+                userSessions.set(chatId, sessionId);
+            }
+            
+            const parts = [];
+            let context;
+            
+            if (docType.kind === 'archive') {
+                // Unpack into a per-session folder and point the AI at it
+                const baseName = safeName.slice(0, -docType.extension.length) || 'archive';
+                const destDir = path.join(uploadsDir, 'sessions', sessionId, `${baseName}_${Date.now()}`);
+                const files = await unpackArchive(uploadPath, docType.extension, destDir);
+                fs.unlinkSync(uploadPath);
+                documentLog.debug(`Unpacked ${files.length} files`, { path: destDir });
+                
+                const listing = files.slice(0, 100).join('\n') + (files.length > 100 ? `\n... and ${files.length - 100} more` : '');
+                parts.push({
+                    type: 'text',
+                    text: `${caption.trim() || `Please take a look at the contents of ${fileName}.`}\n\n` +
+                        `The archive ${fileName} was unpacked to ${destDir} (${files.length} files):\n${listing}`
+                });
+                context = `🗜 Archive: ${fileName}\n📊 ${files.length} files unpacked`;
+            } else {
+                parts.push({ type: 'text', text: caption.trim() || `Please take a look at ${fileName}.` });
+                parts.push({
+                    type: 'file',
+                    mime: docType.mime,
+                    url: `file://${uploadPath}`,
+                    filename: fileName
+                });
+                context = `📄 Document: ${fileName}`;
+            }
+            if (caption.trim()) {
+                context += `\n💬 ${caption.substring(0, 100)}${caption.length > 100 ? '...' : ''}`;
             }
             
+            // Send to OpenCode
+            const userId = msg.from?.id;
+            const userModel = getUserModel(userId);
+            const modelObj = parseModelId(userModel);
+            const aiResponse = await streamWithProgress(chatId, sessionId, parts, modelObj, context, null, { messageId: msg.message_id, inputType: 'document' });
+            
             // Extract text from the response
-            let responseText = '';
-            console.log(`[PHOTO DEBUG] Extracting text from response...`);
-            console.log(`[PHOTO DEBUG] Response type:`, typeof aiResponse);
-            console.log(`[PHOTO DEBUG] Response has parts:`, !!aiResponse?.parts);
-            console.log(`[PHOTO DEBUG] Response has content:`, !!aiResponse?.content);
-            
-            if (aiResponse && aiResponse.parts) {
-                console.log(`[PHOTO DEBUG] Found ${aiResponse.parts.length} parts in response`);
-                responseText = aiResponse.parts
-                    .filter(p => p.type === 'text')
-                    .map(p => p.text)
-                    .join('\n');
-            } else if (aiResponse && aiResponse.content) {
-                if (typeof aiResponse.content === 'string') {
-                    responseText = aiResponse.content;
-                } else if (Array.isArray(aiResponse.content)) {
-                    responseText = aiResponse.content
-                        .filter(p => p.type === 'text')
-                        .map(p => p.text)
-                        .join('\n');
-                }
-            }
-            
-            console.log(`[PHOTO DEBUG] Extracted response text length: ${responseText.length}`);
-            console.log(`[PHOTO DEBUG] Response text preview: "${responseText.substring(0, 100)}${responseText.length > 100 ? '...' : ''}"`);
+            const responseText = getResponseText(aiResponse);
             
-            if (responseText && responseText.trim()) {
-                // Split long messages (Telegram limit is 4096)
-                const maxLen = 4000;
-                if (responseText.length > maxLen) {
-                    const parts = [];
-                    for (let i = 0; i < responseText.length; i += maxLen) {
-                        parts.push(responseText.slice(i, i + maxLen));
-                    }
-                    for (const part of parts) {
-                        await telegramBot.sendMessage(chatId, part);
-                    }
-                } else {
-                    await telegramBot.sendMessage(chatId, responseText);
-                }
-            } else if (aiResponse && aiResponse.parts && aiResponse.parts.length === 0) {
-                console.log(`[PHOTO DEBUG] Empty parts array - model may not support images`);
-                await telegramBot.sendMessage(chatId, 'The AI model returned an empty response. This model may not support image analysis. Try using a vision-capable model like gpt-4o or claude-3-5-sonnet.');
-            } else if (aiResponse === null || aiResponse === undefined) {
-                console.log(`[PHOTO DEBUG] Response is null/undefined`);
-                await telegramBot.sendMessage(chatId, 'No response from the AI. Please try again or check if the server is running.');
+            if (streamedResponses.has(aiResponse)) {
+                // Already delivered by live streaming
+            } else if (aiResponse === null) {
+                // Timed out or stopped - streamWithProgress already told the user
+            } else if (responseText.trim()) {
+                await sendFormattedMessage(chatId, responseText);
             } else {
-                await telegramBot.sendMessage(chatId, `Image received but the AI didn't return text. Response structure: ${Object.keys(aiResponse || {}).join(', ')}`);
+                await telegramBot.sendMessage(chatId, 'No response received. Please try again.');
             }
-            
         } catch (error) {
-            console.error('[PHOTO DEBUG] FATAL ERROR processing photo message:', error);
-            console.error('[PHOTO DEBUG] Error message:', error.message);
-            console.error('[PHOTO DEBUG] Error stack:', error.stack);
-            console.error('[PHOTO DEBUG] Error object keys:', Object.keys(error));
-            if (error.response) {
-                console.error('[PHOTO DEBUG] Error response:', error.response);
-            }
-            if (error.code) {
-                console.error('[PHOTO DEBUG] Error code:', error.code);
-            }
-            await telegramBot.sendMessage(chatId, `Error processing photo: ${error.message}`);
+            documentLog.error('Error processing document', { error });
+            await telegramBot.sendMessage(chatId, `❌ Error processing ${fileName}: ${error.message}`);
         }
     });
 
@@ -1525,16 +3904,13 @@ if (telegramBot) {
         const chatId = msg.chat.id;
         const caption = msg.caption || '';
         
-        console.log(`[VIDEO] Received video message from chatId: ${chatId}`);
-        console.log(`[VIDEO] Caption: "${caption}"`);
-        console.log(`[VIDEO] Video info:`, {
-            file_id: msg.video.file_id,
-            file_unique_id: msg.video.file_unique_id,
-            file_size: msg.video.file_size,
+        videoLog.info('Received video', {
+            caption,
+            size: msg.video.file_size,
             width: msg.video.width,
             height: msg.video.height,
             duration: msg.video.duration,
-            mime_type: msg.video.mime_type
+            mime: msg.video.mime_type
         });
         
         let progressMsgId = null;
@@ -1547,7 +3923,7 @@ if (telegramBot) {
                 });
             } catch (reactionError) {
                 // Reactions may not be supported in all chats
-                console.log(`[VIDEO] Could not set reaction: ${reactionError.message}`);
+                videoLog.debug('Could not set reaction', { error: reactionError });
             }
             
             // Send initial progress message
@@ -1558,24 +3934,20 @@ if (telegramBot) {
             
             // Get video file info
             const videoFileId = msg.video.file_id;
-            console.log(`[VIDEO DEBUG] Getting file info from Telegram...`);
+            videoLog.debug('Getting file info from Telegram', { fileId: videoFileId });
             const videoFile = await telegramBot.getFile(videoFileId);
-            console.log(`[VIDEO DEBUG] Got file info:`, videoFile);
-            
             const videoFileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${videoFile.file_path}`;
-            console.log(`[VIDEO DEBUG] Download URL: ${videoFileUrl.substring(0, 100)}...`);
             
             // Download the video
-            console.log(`[VIDEO DEBUG] Downloading video...`);
             const response = await fetch(videoFileUrl);
             const videoBuffer = Buffer.from(await response.arrayBuffer());
-            console.log(`[VIDEO DEBUG] Downloaded ${videoBuffer.length} bytes`);
+            videoLog.debug(`Downloaded ${videoBuffer.length} bytes`);
             
             // Save to temp file
             const fileExt = path.extname(videoFile.file_path) || '.mp4';
             const tempVideoPath = path.join(os.tmpdir(), `video_${chatId}_${Date.now()}${fileExt}`);
             fs.writeFileSync(tempVideoPath, videoBuffer);
-            console.log(`[VIDEO DEBUG] Video saved to: ${tempVideoPath}`);
+            videoLog.debug('Video saved', { path: tempVideoPath });
             
             // Create frames directory
             const framesDir = path.join(os.tmpdir(), `frames_${chatId}_${Date.now()}`);
@@ -1612,12 +3984,12 @@ if (telegramBot) {
             };
             
             // Extract frames using ffmpeg with progress
-            console.log(`[VIDEO DEBUG] Extracting frames with ffmpeg...`);
+            const observeFfmpeg = ffmpegDuration.startTimer();
             try {
                 await extractFrames(tempVideoPath, framesDir, msg.video.duration, onProgress);
-                console.log(`[VIDEO DEBUG] Frames extracted successfully`);
+                observeFfmpeg({ outcome: 'ok' });
             } catch (ffmpegError) {
-                console.error(`[VIDEO DEBUG] FFmpeg error:`, ffmpegError.message);
+                observeFfmpeg({ outcome: 'error' });
                 throw new Error(`Failed to extract frames: ${ffmpegError.message}`);
             }
             
@@ -1627,7 +3999,7 @@ if (telegramBot) {
                 .sort()
                 .slice(0, 5); // Limit to 5 frames max
             
-            console.log(`[VIDEO DEBUG] Extracted ${frameFiles.length} frames`);
+            videoLog.debug(`Extracted ${frameFiles.length} frames`);
             
             if (frameFiles.length === 0) {
                 throw new Error('No frames could be extracted from the video');
@@ -1641,14 +4013,11 @@ if (telegramBot) {
             
             // Get or create session
             let sessionId = userSessions.get(chatId);
-            console.log(`[VIDEO DEBUG] Current session for chatId ${chatId}: ${sessionId || 'none (will create new)'}`);
-            
             if (!sessionId) {
-                console.log(`[VIDEO DEBUG] Creating new session...`);
-                const { data: newSession } = await opencode.session.create({});
+                const newSession = await createSessionForChat(chatId);
                 sessionId = newSession.id;
                 userSessions.set(chatId, sessionId);
-                console.log(`[VIDEO DEBUG] New session created: ${sessionId}`);
+                videoLog.debug('New session created', { sessionId });
             }
             
             // Send typing indicator
@@ -1661,7 +4030,6 @@ if (telegramBot) {
                 ? caption 
                 : `I've extracted ${frameFiles.length} frames from a ${msg.video.duration}-second video. Please analyze these frames and describe what you see.`;
             parts.push({ type: 'text', text: promptText });
-            console.log(`[VIDEO DEBUG] Added text part: "${promptText}"`);
             
             // Add each frame as a file part
             for (const frameFile of frameFiles) {
@@ -1673,7 +4041,6 @@ if (telegramBot) {
                     url: fileUrl,
                     filename: frameFile
                 });
-                console.log(`[VIDEO DEBUG] Added frame: ${frameFile}`);
             }
             
             // Delete progress message before sending to AI
@@ -1688,69 +4055,33 @@ if (telegramBot) {
             const userId = msg.from?.id;
             const userModel = getUserModel(userId);
             const modelObj = parseModelId(userModel);
-            console.log(`[VIDEO DEBUG] User model: ${userModel}`);
-            console.log(`[VIDEO DEBUG] Sending prompt with ${parts.length} parts...`);
+            videoLog.debug(`Sending prompt with ${parts.length} parts`, { sessionId, model: userModel });
             
-            let aiResponse;
-            try {
-                const context = `🎬 Video Analysis\n📊 Extracted ${frameFiles.length} frames\n⏱️ Duration: ${msg.video.duration}s`;
-                aiResponse = await streamWithProgress(chatId, sessionId, parts, modelObj, context);
-                console.log(`[VIDEO DEBUG] OpenCode response received`);
-                console.log(`[VIDEO DEBUG] Response type:`, typeof aiResponse);
-                console.log(`[VIDEO DEBUG] Response keys:`, aiResponse ? Object.keys(aiResponse) : 'null');
-                console.log(`[VIDEO DEBUG] Full response:`, JSON.stringify(aiResponse, null, 2).substring(0, 1000));
-            } catch (promptError) {
-                console.error(`[VIDEO DEBUG] ERROR during opencode.session.prompt():`, promptError);
-                throw promptError;
-            }
+            const context = `🎬 Video Analysis\n📊 Extracted ${frameFiles.length} frames\n⏱️ Duration: ${msg.video.duration}s`;
+            const aiResponse = await streamWithProgress(chatId, sessionId, parts, modelObj, context, null, { messageId: msg.message_id, inputType: 'video' });
             
             // Extract text from the response
-            let responseText = '';
-            
-            if (aiResponse && aiResponse.parts) {
-                responseText = aiResponse.parts
-                    .filter(p => p.type === 'text')
-                    .map(p => p.text)
-                    .join('\n');
-            } else if (aiResponse && aiResponse.content) {
-                if (typeof aiResponse.content === 'string') {
-                    responseText = aiResponse.content;
-                } else if (Array.isArray(aiResponse.content)) {
-                    responseText = aiResponse.content
-                        .filter(p => p.type === 'text')
-                        .map(p => p.text)
-                        .join('\n');
-                }
-            }
+            const responseText = getResponseText(aiResponse);
             
-            console.log(`[VIDEO DEBUG] Extracted response text length: ${responseText.length}`);
-            console.log(`[VIDEO DEBUG] Response text preview: ${responseText.substring(0, 200)}`);
+            videoLog.debug('OpenCode response received', { parts: aiResponse?.parts?.length, reply: responseText });
             
-            if (responseText && responseText.trim()) {
+            if (streamedResponses.has(aiResponse)) {
+                // Already delivered by live streaming
+            } else if (responseText && responseText.trim()) {
                 // Split long messages (Telegram limit is 4096)
-                const maxLen = 4000;
-                if (responseText.length > maxLen) {
-                    const chunks = [];
-                    for (let i = 0; i < responseText.length; i += maxLen) {
-                        chunks.push(responseText.slice(i, i + maxLen));
-                    }
-                    console.log(`[VIDEO DEBUG] Sending ${chunks.length} message chunks`);
-                    for (const chunk of chunks) {
-                        await telegramBot.sendMessage(chatId, chunk);
-                    }
-                } else {
-                    console.log(`[VIDEO DEBUG] Sending single message response`);
-                    await telegramBot.sendMessage(chatId, responseText);
-                }
-                console.log(`[VIDEO DEBUG] Response sent successfully`);
+                const sent = await sendFormattedMessage(chatId, responseText);
+                videoLog.debug(`Sent ${sent.length} message chunk(s)`);
             } else if (aiResponse && aiResponse.parts && aiResponse.parts.length === 0) {
-                console.log(`[VIDEO DEBUG] Empty parts array - model may not support images`);
+                videoLog.warn('Empty parts array - model may not support images', { model: userModel });
                 await telegramBot.sendMessage(chatId, 'The AI model returned an empty response. This model may not support video/image analysis. Try using a vision-capable model like gpt-4o or claude-3-5-sonnet with /model command.');
-            } else if (aiResponse === null || aiResponse === undefined) {
-                console.log(`[VIDEO DEBUG] Response is null/undefined`);
+            } else if (aiResponse === null) {
+                // Timed out or stopped - streamWithProgress already told the user
+                videoLog.debug('Prompt timed out or was stopped');
+            } else if (aiResponse === undefined) {
+                videoLog.warn('Response is undefined');
                 await telegramBot.sendMessage(chatId, 'No response from the AI. Please try again or check if the server is running.');
             } else {
-                console.log(`[VIDEO DEBUG] No text in response, structure: ${Object.keys(aiResponse || {}).join(', ')}`);
+                videoLog.warn(`No text in response, structure: ${Object.keys(aiResponse || {}).join(', ')}`);
                 await telegramBot.sendMessage(chatId, `Video received and frames extracted, but the AI didn't return text. Try using a vision-capable model with /model command.`);
             }
             
@@ -1759,15 +4090,13 @@ if (telegramBot) {
                 fs.unlinkSync(tempVideoPath);
                 frameFiles.forEach(f => fs.unlinkSync(path.join(framesDir, f)));
                 fs.rmdirSync(framesDir);
-                console.log(`[VIDEO DEBUG] Cleaned up temp files`);
+                videoLog.debug('Cleaned up temp files');
             } catch (cleanupError) {
-                console.error(`[VIDEO DEBUG] Cleanup error:`, cleanupError);
+                videoLog.warn('Cleanup error', { error: cleanupError });
             }
             
         } catch (error) {
-            console.error('[VIDEO DEBUG] FATAL ERROR processing video message:', error);
-            console.error('[VIDEO DEBUG] Error message:', error.message);
-            console.error('[VIDEO DEBUG] Error stack:', error.stack);
+            videoLog.error('Error processing video message', { error });
             
             // Clean up progress message on error
             if (progressMsgId) {
@@ -1784,7 +4113,7 @@ if (telegramBot) {
 
     // Error handling
     telegramBot.on('polling_error', (error) => {
-        console.error('Telegram polling error:', error.message);
+        log.error('Telegram polling error', { error });
     });
 }
 
@@ -1793,7 +4122,8 @@ app.set('trust proxy', true);
 app.set('view engine', 'pug');
 app.set('views', path.join(__dirname, 'views'));
 
-app.use(express.json());
+// The raw body is kept for checking request signatures; sync posts carry whole messages, hence the limit
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 app.use(session({
     secret: process.env.SESSION_SECRET || 'opentelegram-secret',
@@ -1805,8 +4135,221 @@ app.use(session({
     }
 }));
 
+// HTTP requests get a correlation ID too (the caller's X-Request-Id if it sends one); after the body
+// parsers, which would otherwise continue in the socket's async context
+app.use((req, res, next) => {
+    const cid = /^[\w.-]{1,64}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : newCorrelationId();
+    res.set('X-Request-Id', cid);
+    withLogContext({ cid }, next);
+});
+
 const PORT = process.env.CLIENT_PORT || 3003;
 
+// ============================================
+// Telegram Webhook (TELEGRAM_MODE=webhook)
+// ============================================
+
+// Public base URL Telegram posts updates to, e.g. https://bot.example.com
+const TELEGRAM_WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL;
+const TELEGRAM_WEBHOOK_PATH = process.env.TELEGRAM_WEBHOOK_PATH || '/telegram/webhook';
+// Telegram echoes this in X-Telegram-Bot-Api-Secret-Token; derived from the bot token
+// when not set, so every replica checks for the same value
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET ||
+    crypto.createHash('sha256').update(process.env.TELEGRAM_BOT_TOKEN || '').digest('hex').slice(0, 32);
+// The webhook is removed on shutdown unless TELEGRAM_WEBHOOK_KEEP_ON_EXIT=true; replicas set it,
+// since one of them stopping would otherwise cut off updates for the others
+const TELEGRAM_WEBHOOK_KEEP_ON_EXIT = process.env.TELEGRAM_WEBHOOK_KEEP_ON_EXIT === 'true';
+
+// Constant-time string comparison for secrets
+function secretsMatch(received, expected) {
+    const a = Buffer.from(String(received || ''));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+if (TELEGRAM_MODE === 'webhook' && telegramBot) {
+    // Updates go through processUpdate, so the same handlers run as in polling mode
+    app.post(TELEGRAM_WEBHOOK_PATH, (req, res) => {
+        if (!secretsMatch(req.get('X-Telegram-Bot-Api-Secret-Token'), TELEGRAM_WEBHOOK_SECRET)) {
+            webhookLog.warn('Rejected update with invalid secret token', { ip: req.ip });
+            return res.sendStatus(401);
+        }
+        
+        // Answer right away - Telegram retries updates that take too long
+        res.sendStatus(200);
+        try {
+            telegramBot.processUpdate(req.body);
+        } catch (error) {
+            webhookLog.error('Failed to process update', { error });
+        }
+    });
+}
+
+// Point Telegram at this server's webhook endpoint
+async function registerTelegramWebhook() {
+    if (!TELEGRAM_WEBHOOK_URL) {
+        webhookLog.error('TELEGRAM_MODE=webhook requires TELEGRAM_WEBHOOK_URL - no updates will be received');
+        return;
+    }
+    
+    const url = `${TELEGRAM_WEBHOOK_URL.replace(/\/+$/, '')}${TELEGRAM_WEBHOOK_PATH}`;
+    try {
+        await telegramBot.setWebHook(url, { secret_token: TELEGRAM_WEBHOOK_SECRET });
+        webhookLog.info(`Registered webhook ${url}`);
+    } catch (error) {
+        webhookLog.error('Failed to register webhook', { error });
+    }
+}
+
+// ============================================
+// HTTP API Authentication
+// ============================================
+
+// /sync/* only takes requests signed with TELEGRAM_SYNC_SECRET (the plugin signs its posts);
+// /api/* takes signed requests or API tokens limited to scopes (see lib/request-auth.js)
+let requestAuth;
+try {
+    requestAuth = createRequestAuth({
+        secret: process.env.TELEGRAM_SYNC_SECRET,
+        tokens: parseApiTokens(process.env.API_TOKENS),
+        maxSkewSeconds: parseInt(process.env.REQUEST_MAX_AGE_SECONDS) || 300,
+        log: authLog
+    });
+} catch (error) {
+    log.error(`Invalid API_TOKENS: ${error.message}`);
+    process.exit(1);
+}
+if (!process.env.TELEGRAM_SYNC_SECRET) {
+    authLog.warn('TELEGRAM_SYNC_SECRET is not set - /sync endpoints are disabled');
+}
+
+// ============================================
+// Telegram Mini App
+// ============================================
+
+// Public HTTPS address of the app (Telegram requires HTTPS); defaults to /app on the webhook URL
+const MINI_APP_URL = process.env.MINI_APP_URL ||
+    (TELEGRAM_WEBHOOK_URL ? `${TELEGRAM_WEBHOOK_URL.replace(/\/+$/, '')}/app` : null);
+// Tool output sent to the app is cut to this many characters
+const MINI_APP_MAX_TOOL_OUTPUT = 50000;
+
+/**
+ * Middleware: the request must carry valid Mini App initData (Authorization: tma <initData>)
+ * from a user with at least minRole; the user is put on req.miniAppUser
+ */
+function requireMiniAppUser(minRole = 'readonly') {
+    return (req, res, next) => {
+        const match = (req.get('Authorization') || '').match(/^tma\s+(.+)$/);
+        const data = match && validateInitData(match[1], process.env.TELEGRAM_BOT_TOKEN);
+        if (!data?.user) {
+            return res.status(401).json({ error: 'Invalid or expired Telegram login, reopen the app from the chat' });
+        }
+        if (!isAuthorizedUser(data.user.id, minRole)) {
+            const role = getUserRole(data.user.id);
+            return res.status(403).json({
+                error: role ? `Your role (${ROLE_LABELS[role]}) can't do this` : 'You do not have access to this bot'
+            });
+        }
+        req.miniAppUser = data.user;
+        next();
+    };
+}
+
+// A message in the form the app shows it; text is converted to the same HTML as in chat
+function toMiniAppMessage(message) {
+    const info = message.info || message;
+    const parts = (message.parts || []).map(part => {
+        if (part.type === 'text' && part.text?.trim()) {
+            return { type: 'text', html: markdownToTelegramHtml(part.text), synthetic: !!part.synthetic };
+        }
+        if (part.type === 'reasoning' && part.text?.trim()) {
+            return { type: 'reasoning', text: part.text };
+        }
+        if (part.type === 'tool') {
+            const output = getToolOutput(part);
+            return {
+                type: 'tool',
+                summary: formatToolSummary(part),
+                status: part.state?.status,
+                input: JSON.stringify(part.state?.input || {}, null, 2),
+                output: output.length > MINI_APP_MAX_TOOL_OUTPUT
+                    ? `${output.slice(0, MINI_APP_MAX_TOOL_OUTPUT)}\n... (${output.length - MINI_APP_MAX_TOOL_OUTPUT} more characters)`
+                    : output
+            };
+        }
+        if (part.type === 'file') {
+            return { type: 'file', name: part.filename || part.mime || 'file' };
+        }
+        return null;
+    }).filter(Boolean);
+    
+    return {
+        id: info.id,
+        role: info.role,
+        created: info.time?.created || null,
+        model: info.modelID || null,
+        error: info.error ? (info.error.data?.message || info.error.name) : null,
+        parts
+    };
+}
+
+app.get('/app', (req, res) => {
+    res.render('app', { title: 'OpenTelegram' });
+});
+
+// Sessions of the user's chat (its project), with the current one marked
+app.get('/app/api/sessions', requireMiniAppUser(), async (req, res) => {
+    try {
+        const chatId = req.miniAppUser.id;
+        const sessions = await listSessionsByActivity(chatId);
+        res.json({
+            current: userSessions.get(chatId) || null,
+            // Read-only users can view any session but not make it the chat's current one
+            canSwitch: hasRole(req.miniAppUser.id, 'member'),
+            project: describeDirectory(getChatProject(chatId)?.path),
+            sessions: sessions.map(session => ({
+                id: session.id,
+                title: session.title || 'Untitled',
+                updated: session.time?.updated || null
+            }))
+        });
+    } catch (error) {
+        miniAppLog.error('Failed to list sessions', { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/app/api/sessions/:id/messages', requireMiniAppUser(), async (req, res) => {
+    try {
+        const messages = await getSessionMessages(req.params.id, req.miniAppUser.id);
+        res.json({ messages: messages.map(toMiniAppMessage) });
+    } catch (error) {
+        miniAppLog.error('Failed to load messages', { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/app/api/sessions/:id/diff', requireMiniAppUser(), async (req, res) => {
+    try {
+        res.json({ files: await getSessionFileDiffs(req.params.id, req.miniAppUser.id) });
+    } catch (error) {
+        miniAppLog.error('Failed to load diff', { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Make a session the chat's current one (like switching in /sessions)
+app.post('/app/api/sessions/:id/select', requireMiniAppUser('member'), async (req, res) => {
+    const chatId = req.miniAppUser.id;
+    const sessionId = req.params.id;
+    const { directory } = sessionQuery(sessionId, chatId);
+    if (directory && !sessionDirectories.has(sessionId)) {
+        sessionDirectories.set(sessionId, directory);
+    }
+    userSessions.set(chatId, sessionId);
+    res.json({ success: true, current: sessionId });
+});
+
 // Home page
 app.get('/', (req, res) => {
     res.render('index', { 
@@ -1828,58 +4371,459 @@ app.get('/health', async (req, res) => {
     res.json({ 
         status: 'ok', 
         opencode: opencodeStatus, 
-        telegram: !!telegramBot 
+        telegram: !!telegramBot,
+        failedDeliveries: sendLayer ? sendLayer.failures : 0
     });
 });
 
-// API: Send message to OpenCode
-app.post('/api/chat', async (req, res) => {
-    try {
-        const { message, sessionId } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
+// Gauges are read from the bot's state on each scrape
+metrics.gauge('active_sessions', 'Chats with a current OpenCode session', [], (set) => {
+    set({}, userSessions.size);
+});
+metrics.gauge('sync_topics', 'Sessions mirrored to a sync group topic, by topic state', ['state'], (set) => {
+    const counts = { open: 0, closed: 0 };
+    for (const sessionId of sessionToTopic.keys()) {
+        counts[syncTopics.get(sessionId)?.closed ? 'closed' : 'open']++;
+    }
+    for (const [state, count] of Object.entries(counts)) set({ state }, count);
+});
+metrics.gauge('prompts_in_progress', 'Prompts running in or waiting for OpenCode, by state', ['state'], (set) => {
+    const { running, waiting } = promptQueue.stats();
+    set({ state: 'running' }, running);
+    set({ state: 'waiting' }, waiting);
+});
+
+// Prometheus metrics (scrape with an API token that has the "metrics" scope)
+app.get('/metrics', requestAuth.requireScope('metrics'), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Details of the Telegram requests the send layer gave up on, newest first (/health only has the count)
+app.get('/api/delivery-failures', requestAuth.requireScope('metrics'), (req, res) => {
+    res.json({ failures: deliveryFailures.slice().reverse() });
+});
+
+// Turn a /api/chat request body into prompt parts: message (text) and/or parts (OpenCode part inputs)
+function parseApiChatParts({ message, parts }) {
+    const promptParts = [];
+    if (typeof message === 'string' && message.trim()) {
+        promptParts.push({ type: 'text', text: message });
+    }
+    if (parts !== undefined) {
+        if (!Array.isArray(parts)) {
+            throw new Error('parts must be an array');
+        }
+        for (const part of parts) {
+            if (part?.type === 'text' && typeof part.text === 'string') {
+                promptParts.push({ type: 'text', text: part.text });
+            } else if (part?.type === 'file' && typeof part.url === 'string' && typeof part.mime === 'string') {
+                promptParts.push({ type: 'file', mime: part.mime, url: part.url, ...(part.filename ? { filename: part.filename } : {}) });
+            } else {
+                throw new Error('each part must be { type: "text", text } or { type: "file", mime, url, filename? }');
+            }
         }
+    }
+    return promptParts;
+}
+
+// Accept "provider/model" or { providerID, modelID }
+function parseApiModel(model) {
+    if (!model) return parseModelId(getUserModel(null));
+    if (typeof model === 'string' && model.includes('/')) return parseModelId(model);
+    if (model.providerID && model.modelID) return { providerID: model.providerID, modelID: model.modelID };
+    throw new Error('model must be "provider/model" or { providerID, modelID }');
+}
+
+// Sessions API clients created and /v1 conversations pinned to sessions (see lib/api-sessions.js);
+// tokens without the * scope can only use the sessions they created
+const apiSessions = createApiSessionAccess(stateStore.map('apiConversations'));
 
+// API: Send a prompt to OpenCode and wait for the reply
+// Body: { message?, parts?, model?, agent?, sessionId? } - at least one of message and parts
+app.post('/api/chat', requestAuth.requireScope('chat'), async (req, res) => {
+    let parts;
+    let model;
+    try {
+        parts = parseApiChatParts(req.body);
+        model = parseApiModel(req.body.model);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (parts.length === 0) {
+        return res.status(400).json({ error: 'message or parts is required' });
+    }
+    const { agent } = req.body;
+    if (agent !== undefined && typeof agent !== 'string') {
+        return res.status(400).json({ error: 'agent must be a string' });
+    }
+    
+    try {
         // Create or use session
-        let sid = sessionId;
+        let sid = req.body.sessionId;
+        if (sid && !apiSessions.canUse(req, sid)) {
+            return res.status(403).json({ error: `session ${sid} was not created by this API token` });
+        }
         if (!sid) {
-            const { data: newSession } = await opencode.session.create({});
+            const { data: newSession, error } = await opencode.session.create({});
+            if (error || !newSession) {
+                throw new Error(`Could not create session: ${JSON.stringify(error)}`);
+            }
             sid = newSession.id;
+            apiSessions.remember(req, sid);
         }
-
-        // Send prompt
-        await opencode.session.prompt({
+        
+        // Through the prompt queue, so API prompts never overlap with prompts from Telegram
+        const result = await promptQueue.run(sid, `api:${req.apiClient}`, () => observePrompt('api', () => opencode.session.prompt({
             path: { id: sid },
-            body: { content: message }
-        });
-
-        res.json({ 
-            success: true, 
+            query: sessionQuery(sid),
+            body: {
+                parts,
+                model,
+                ...(agent ? { agent } : {})
+            }
+        })));
+        if (result.error) {
+            return res.status(502).json({ error: `OpenCode API error: ${JSON.stringify(result.error)}`, sessionId: sid });
+        }
+        
+        const reply = result.data;
+        const toolParts = (reply?.parts || []).filter(p => p.type === 'tool');
+        res.json({
+            success: true,
             sessionId: sid,
-            message: 'Message submitted to OpenCode'
+            messageId: reply?.info?.id || null,
+            reply: getResponseText(reply),
+            tools: toolParts.map(part => ({
+                tool: part.tool,
+                status: part.state?.status || null,
+                summary: formatToolSummary(part)
+            })),
+            error: reply?.info?.error ? (reply.info.error.data?.message || reply.info.error.name) : null,
+            tokens: reply?.info?.tokens || null,
+            cost: reply?.info?.cost ?? null
         });
     } catch (error) {
-        console.error('API chat error:', error);
+        if (error instanceof QueueFullError) {
+            return res.status(429).json({ error: error.message });
+        }
+        if (error instanceof QueueCancelledError) {
+            return res.status(409).json({ error: error.message });
+        }
+        apiLog.error('API chat error', { error });
         res.status(500).json({ error: error.message });
     }
 });
 
+// API: Relay a session's events from the OpenCode event stream as Server-Sent Events
+// Each event is sent as "event: <type>" with the event's JSON as data; a comment every 15s keeps it open
+app.get('/api/sessions/:id/stream', requestAuth.requireScope('sessions'), (req, res) => {
+    const sessionId = req.params.id;
+    if (!apiSessions.canUse(req, sessionId)) {
+        return res.status(403).json({ error: `session ${sessionId} was not created by this API token` });
+    }
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Don't let a reverse proxy buffer the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`event: ready\ndata: ${JSON.stringify({ sessionId })}\n\n`);
+    
+    const unsubscribe = onSessionEvent(sessionId, (payload) => {
+        res.write(`event: ${payload.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 // API: List sessions
-app.get('/api/sessions', async (req, res) => {
+app.get('/api/sessions', requestAuth.requireScope('sessions'), async (req, res) => {
     try {
         const { data: sessions } = await opencode.session.list();
-        res.json(sessions);
+        res.json(apiSessions.visible(req, sessions || []));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// ============================================
+// OpenAI-Compatible API (/v1)
+// ============================================
+
+function sendOpenAIError(res, status, message, type = 'invalid_request_error') {
+    res.status(status).json({ error: { message, type, code: null } });
+}
+
+// Text of an OpenAI message content (a string or an array of content parts)
+function getOpenAIText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.filter(part => part?.type === 'text').map(part => part.text || '').join('\n');
+}
+
+// image_url content parts as OpenCode file parts
+function getOpenAIImageParts(content) {
+    if (!Array.isArray(content)) return [];
+    return content
+        .filter(part => part?.type === 'image_url' && typeof (part.image_url?.url || part.image_url) === 'string')
+        .map(part => {
+            const url = part.image_url.url || part.image_url;
+            const dataMime = url.match(/^data:([^;,]+)/)?.[1];
+            const extension = url.split('?')[0].match(/\.(png|jpe?g|gif|webp)$/i)?.[1]?.toLowerCase();
+            const mime = dataMime || (extension ? `image/${extension === 'jpg' ? 'jpeg' : extension}` : 'image/png');
+            return { type: 'file', mime, url };
+        });
+}
+
+/**
+ * Map a chat completion request onto a session and prompt
+ * A pinned conversation (X-Session-Id header or the user field) keeps its OpenCode session, which
+ * already has the history, so only the last user message is sent. Otherwise (and the first time a
+ * conversation is pinned) a new session is created and earlier turns are included as a transcript.
+ */
+async function prepareOpenAIPrompt(req) {
+    const { messages, user } = req.body;
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw Object.assign(new Error('messages must be a non-empty array'), { status: 400 });
+    }
+    const last = messages[messages.length - 1];
+    if (last?.role !== 'user') {
+        throw Object.assign(new Error('the last message must have role "user"'), { status: 400 });
+    }
+    
+    const system = messages.filter(m => m.role === 'system' || m.role === 'developer').map(m => getOpenAIText(m.content)).join('\n\n');
+    const conversationKey = req.get('X-Session-Id') || (typeof user === 'string' && user ? user : null);
+    
+    let sessionId = null;
+    if (conversationKey?.startsWith('ses_')) {
+        // Any OpenCode session (e.g. one used from Telegram) needs a full-access token; otherwise only the client's own
+        if (!apiSessions.canUse(req, conversationKey)) {
+            throw Object.assign(new Error(`session ${conversationKey} was not created by this API token`), { status: 403 });
+        }
+        sessionId = conversationKey;
+    } else if (conversationKey) {
+        sessionId = apiSessions.conversation(req, conversationKey);
+    }
+    const isNewSession = !sessionId;
+    if (!sessionId) {
+        const { data: newSession, error } = await opencode.session.create({});
+        if (error || !newSession) {
+            throw new Error(`Could not create session: ${JSON.stringify(error)}`);
+        }
+        sessionId = newSession.id;
+        apiSessions.remember(req, sessionId);
+        if (conversationKey) {
+            apiSessions.pinConversation(req, conversationKey, sessionId);
+        }
+    }
+    
+    let text = getOpenAIText(last.content);
+    const earlier = messages.slice(0, -1).filter(m => m.role === 'user' || m.role === 'assistant');
+    if (isNewSession && earlier.length > 0) {
+        const transcript = earlier.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${getOpenAIText(m.content)}`).join('\n\n');
+        text = `Conversation so far:\n\n${transcript}\n\nUser: ${text}`;
+    }
+    
+    const model = typeof req.body.model === 'string' && req.body.model.includes('/')
+        ? parseModelId(req.body.model)
+        : parseModelId(getUserModel(null));
+    
+    return {
+        sessionId,
+        body: {
+            parts: [...(text ? [{ type: 'text', text }] : []), ...getOpenAIImageParts(last.content)],
+            model,
+            ...(system ? { system } : {})
+        }
+    };
+}
+
+function getOpenAIUsage(info) {
+    const tokens = info?.tokens;
+    if (!tokens) return null;
+    const prompt = (tokens.input || 0) + (tokens.cache?.read || 0);
+    const completion = (tokens.output || 0) + (tokens.reasoning || 0);
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+// API: Models in OpenAI format (ids are "provider/model", usable as the model of a completion)
+app.get('/v1/models', requestAuth.requireScope('chat'), async (req, res) => {
+    const models = await getAvailableModels();
+    res.json({
+        object: 'list',
+        data: models.map(model => ({
+            id: model.id,
+            object: 'model',
+            created: 0,
+            owned_by: model.id.split('/')[0]
+        }))
+    });
+});
+
+// API: OpenAI Chat Completions, answered by an OpenCode session (stream: true for SSE chunks)
+app.post('/v1/chat/completions', requestAuth.requireScope('chat'), async (req, res) => {
+    let prompt;
+    try {
+        prompt = await prepareOpenAIPrompt(req);
+    } catch (error) {
+        const type = error.status === 403 ? 'permission_error' : error.status ? 'invalid_request_error' : 'server_error';
+        return sendOpenAIError(res, error.status || 500, error.message, type);
+    }
+    const { sessionId, body } = prompt;
+    const modelName = `${body.model.providerID}/${body.model.modelID}`;
+    const created = Math.floor(Date.now() / 1000);
+    const completionId = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+    res.set('X-Session-Id', sessionId);
+    
+    const runPrompt = () => promptQueue.run(sessionId, `api:${req.apiClient}`, () => observePrompt('api', () => opencode.session.prompt({
+        path: { id: sessionId },
+        query: sessionQuery(sessionId),
+        body
+    })));
+    
+    if (!req.body.stream) {
+        try {
+            const result = await runPrompt();
+            if (result.error) {
+                return sendOpenAIError(res, 502, `OpenCode API error: ${JSON.stringify(result.error)}`, 'server_error');
+            }
+            res.json({
+                id: completionId,
+                object: 'chat.completion',
+                created,
+                model: modelName,
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: getResponseText(result.data) },
+                    finish_reason: 'stop'
+                }],
+                usage: getOpenAIUsage(result.data?.info)
+            });
+        } catch (error) {
+            if (error instanceof QueueFullError) {
+                return sendOpenAIError(res, 429, error.message, 'rate_limit_error');
+            }
+            if (error instanceof QueueCancelledError) {
+                return sendOpenAIError(res, 409, error.message, 'invalid_request_error');
+            }
+            apiLog.error('Chat completion failed', { sessionId, error });
+            sendOpenAIError(res, 500, error.message, 'server_error');
+        }
+        return;
+    }
+    
+    // Streaming: text deltas of the session's assistant messages are relayed as they arrive
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    const sendChunk = (delta, finishReason = null, extra = {}) => {
+        res.write(`data: ${JSON.stringify({
+            id: completionId,
+            object: 'chat.completion.chunk',
+            created,
+            model: modelName,
+            choices: [{ index: 0, delta, finish_reason: finishReason }],
+            ...extra
+        })}\n\n`);
+    };
+    sendChunk({ role: 'assistant', content: '' });
+    
+    // How much of each text part has been sent (partId -> characters)
+    const assistantMessageIds = new Set();
+    const sentLengths = new Map();
+    const sendPartText = (partId, text) => {
+        const sent = sentLengths.get(partId);
+        if (sent === undefined) {
+            // A new part after earlier text starts on a new paragraph
+            const separator = sentLengths.size > 0 && text ? '\n\n' : '';
+            sentLengths.set(partId, text.length);
+            if (text) sendChunk({ content: separator + text });
+        } else if (text.length > sent) {
+            sentLengths.set(partId, text.length);
+            sendChunk({ content: text.slice(sent) });
+        }
+    };
+    const partTexts = new Map();
+    
+    const unsubscribe = onSessionEvent(sessionId, (payload) => {
+        const props = payload.properties || {};
+        if (payload.type === 'message.updated' && props.info?.role === 'assistant') {
+            assistantMessageIds.add(props.info.id);
+        } else if (payload.type === 'message.part.updated' && props.part?.type === 'text' && assistantMessageIds.has(props.part.messageID)) {
+            partTexts.set(props.part.id, props.part.text || '');
+            sendPartText(props.part.id, partTexts.get(props.part.id));
+        } else if (payload.type === 'message.part.delta' && props.field === 'text' && partTexts.has(props.partID)) {
+            partTexts.set(props.partID, partTexts.get(props.partID) + (props.delta || ''));
+            sendPartText(props.partID, partTexts.get(props.partID));
+        }
+    });
+    
+    try {
+        const result = await runPrompt();
+        unsubscribe();
+        if (result.error) {
+            res.write(`data: ${JSON.stringify({ error: { message: `OpenCode API error: ${JSON.stringify(result.error)}`, type: 'server_error' } })}\n\n`);
+        } else {
+            // Whatever the events didn't deliver (the reply's final text is authoritative)
+            for (const part of (result.data?.parts || []).filter(p => p.type === 'text')) {
+                sendPartText(part.id, part.text || '');
+            }
+            sendChunk({}, 'stop', req.body.stream_options?.include_usage ? { usage: getOpenAIUsage(result.data?.info) } : {});
+        }
+    } catch (error) {
+        unsubscribe();
+        apiLog.error('Streamed chat completion failed', { sessionId, error });
+        const type = error instanceof QueueFullError ? 'rate_limit_error' : 'server_error';
+        res.write(`data: ${JSON.stringify({ error: { message: error.message, type } })}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+});
+
 // ============================================
 // Sync Endpoints (for telegram-sync plugin)
 // ============================================
 
-// Create a sync topic for a session
+// Responses to recent sync posts by Idempotency-Key (key -> promise of { status, body }), so a post
+// the plugin retries after a timeout is answered again instead of being handled twice
+const idempotentResponses = new Map();
+const MAX_IDEMPOTENT_RESPONSES = 1000;
+
+app.use('/sync', requestAuth.requireSignature);
+
+app.use('/sync', (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || !key) return next();
+    
+    // Same post again: answer it like the first time (once that one is done)
+    const previous = idempotentResponses.get(key);
+    if (previous) {
+        previous.then(({ status, body }) => res.status(status).json(body));
+        return;
+    }
+    
+    let settle;
+    idempotentResponses.set(key, new Promise(resolve => { settle = resolve; }));
+    if (idempotentResponses.size > MAX_IDEMPOTENT_RESPONSES) {
+        idempotentResponses.delete(idempotentResponses.keys().next().value);
+    }
+    
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        // Server errors are not remembered, so the next retry runs the request again
+        if (res.statusCode >= 500) idempotentResponses.delete(key);
+        settle({ status: res.statusCode, body });
+        return json(body);
+    };
+    next();
+});
+
+// Create a sync topic for a session, backfilled with the conversation so far
 app.post('/sync/session', async (req, res) => {
     try {
         const { sessionId, title, directory } = req.body;
@@ -1891,26 +4835,28 @@ app.post('/sync/session', async (req, res) => {
         // Check if we already have a topic for this session
         let topicId = sessionToTopic.get(sessionId);
         if (topicId) {
-            return res.json({ success: true, topicId, existing: true });
+            return res.json({ success: true, topicId, existing: true, lastMessageId: syncCursors.get(sessionId) || null });
         }
         
-        // Create new topic
-        const result = await createSyncTopic(sessionId, title || 'OpenCode Session', directory);
+        // Create new topic and post the history
+        const result = await syncSession(sessionId, { directory, title: title || 'OpenCode Session' });
         if (!result) {
             return res.status(500).json({ error: 'Failed to create topic' });
         }
         
-        res.json({ success: true, topicId: result.topicId });
+        res.json({ success: true, topicId: result.topicId, posted: result.posted, lastMessageId: result.lastMessageId });
     } catch (error) {
-        console.error('[SYNC API] Error creating session topic:', error);
+        syncLog.error('Error creating session topic', { error });
         res.status(500).json({ error: error.message });
     }
 });
 
-// Post a message to a sync topic
+// Post messages to a sync topic
+// Either { sessionId, messages: [{ info, parts }] } - every message after the session's sync
+// cursor is posted, older ones are skipped - or a single { userContent, assistantContent } pair
 app.post('/sync/message', async (req, res) => {
     try {
-        const { sessionId, topicId, userContent, assistantContent, messageId } = req.body;
+        const { sessionId, topicId, userContent, assistantContent, messageId, messages, directory } = req.body;
         
         if (!sessionId && !topicId) {
             return res.status(400).json({ error: 'sessionId or topicId is required' });
@@ -1922,20 +4868,23 @@ app.post('/sync/message', async (req, res) => {
             return res.status(404).json({ error: 'No topic found for session' });
         }
         
+        if (Array.isArray(messages)) {
+            if (!sessionId || !sessionToTopic.has(sessionId)) {
+                return res.status(404).json({ error: 'No topic found for session' });
+            }
+            const result = await syncSession(sessionId, { directory, messages });
+            return res.json({ success: true, posted: result.posted, lastMessageId: result.lastMessageId });
+        }
+        
         // Post to the topic
         const success = await postToSyncTopic(resolvedTopicId, userContent, assistantContent);
         if (!success) {
             return res.status(500).json({ error: 'Failed to post message' });
         }
         
-        // Update dedup tracking
-        if (sessionId) {
-            lastPostedContent.set(sessionId, { userContent, assistantContent });
-        }
-        
         res.json({ success: true, messageId });
     } catch (error) {
-        console.error('[SYNC API] Error posting message:', error);
+        syncLog.error('Error posting message', { error });
         res.status(500).json({ error: error.message });
     }
 });
@@ -1947,7 +4896,8 @@ app.get('/sync/status', (req, res) => {
         activeSessions: sessionToTopic.size,
         sessions: Array.from(sessionToTopic.entries()).map(([sessionId, topicId]) => ({
             sessionId: sessionId.slice(0, 8) + '...',
-            topicId
+            topicId,
+            lastMessageId: syncCursors.get(sessionId) || null
         }))
     });
 });
@@ -1963,7 +4913,7 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    log.error('Request failed', { method: req.method, path: req.path, error: err });
     res.status(err.status || 500).render('error', {
         title: 'Error',
         status: err.status || 500,
@@ -1973,13 +4923,51 @@ app.use((err, req, res, next) => {
 
 // Start Express server
 app.listen(PORT, () => {
-    console.log(`OpenTelegram client running on port ${PORT}`);
+    log.info(`OpenTelegram client running on port ${PORT}`);
+    
+    if (TELEGRAM_MODE === 'webhook' && telegramBot) {
+        registerTelegramWebhook();
+    }
+    
+    // Menu button in private chats that opens the Mini App
+    if (MINI_APP_URL && telegramBot) {
+        telegramBot.setChatMenuButton({
+            menu_button: JSON.stringify({ type: 'web_app', text: 'Sessions', web_app: { url: MINI_APP_URL } })
+        }).catch(error => miniAppLog.error('Failed to set the menu button', { error }));
+    }
+    
+    // Start global event subscription (live replies and session sync)
+    startGlobalEventSubscription();
     
-    // Start global event subscription for session sync
     if (SYNC_GROUP_ID) {
-        console.log(`[SYNC] Sync group configured: ${SYNC_GROUP_ID}`);
-        startGlobalEventSubscription();
+        syncLog.info(`Sync group configured: ${SYNC_GROUP_ID}`);
     } else {
-        console.log('[SYNC] No sync group configured (TELEGRAM_SYNC_GROUP_ID or TELEGRAM_GROUP_ID)');
+        syncLog.info('No sync group configured (TELEGRAM_SYNC_GROUP_ID or TELEGRAM_GROUP_ID)');
     }
 });
+
+// Graceful shutdown - stop receiving updates and close the state store
+async function shutdown(signal) {
+    log.info(`Received ${signal}, shutting down...`);
+    
+    if (telegramBot) {
+        try {
+            if (TELEGRAM_MODE === 'webhook') {
+                if (!TELEGRAM_WEBHOOK_KEEP_ON_EXIT) {
+                    await telegramBot.deleteWebHook();
+                    webhookLog.info('Webhook removed');
+                }
+            } else {
+                await telegramBot.stopPolling();
+            }
+        } catch (error) {
+            log.error('Error stopping Telegram updates', { error });
+        }
+    }
+    
+    stateStore.close();
+    process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,49 @@
+/**
+ * Which OpenCode sessions an API client may use
+ *
+ * Tokens with the * scope (and signed requests) may use any session, including the ones people
+ * chat with in Telegram. Other tokens only see, stream and prompt the sessions they created.
+ * Both kinds of entry live in one persistent map, keyed by the client (the token's name):
+ *
+ *   "<api client>:<sessionId>"        -> sessionId   (a session the client created)
+ *   "<api client>:<conversation key>" -> sessionId   (a /v1 conversation pinned to a session)
+ */
+
+/**
+ * @param {Map} conversations - persistent map holding the entries above
+ */
+export function createApiSessionAccess(conversations) {
+    const keyOf = (req, name) => `${req.apiClient}:${name}`;
+
+    function hasFullAccess(req) {
+        return Boolean(req.apiScopes?.includes('*'));
+    }
+
+    function canUse(req, sessionId) {
+        return hasFullAccess(req) || conversations.get(keyOf(req, sessionId)) === sessionId;
+    }
+
+    return {
+        hasFullAccess,
+        canUse,
+
+        // Record a session the client created, so it can use it again
+        remember(req, sessionId) {
+            conversations.set(keyOf(req, sessionId), sessionId);
+        },
+
+        // Session a /v1 conversation key is pinned to, or null
+        conversation(req, key) {
+            return conversations.get(keyOf(req, key)) || null;
+        },
+
+        pinConversation(req, key, sessionId) {
+            conversations.set(keyOf(req, key), sessionId);
+        },
+
+        // The sessions of a list the client may see
+        visible(req, sessions) {
+            return hasFullAccess(req) ? sessions : sessions.filter(session => canUse(req, session.id));
+        }
+    };
+}
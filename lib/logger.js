@@ -0,0 +1,127 @@
+/**
+ * Levelled, structured logging
+ *
+ * Every entry has a level (debug, info, warn, error), a component (sync, photo, send, ...), a
+ * message and optional fields. The text format is meant for a terminal; the json format writes
+ * one JSON object per line for log collectors. Debug and info go to stdout, warn and error to stderr.
+ *
+ * Correlation: withLogContext({ cid, chatId }, fn) adds its fields to every entry logged while fn
+ * runs, including from promises and timers started inside it (AsyncLocalStorage), so one Telegram
+ * update can be followed through transcription, prompting and sending the reply.
+ *
+ * Redaction: user content belongs in fields, not in the message. Fields that hold it (text,
+ * caption, prompt, ...) are logged as their length unless redaction is turned off, and anything
+ * that looks like a secret (bot tokens, API keys, Bearer tokens, secret-named fields) is always masked.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['text', 'json'];
+
+// Fields that carry what users wrote or the agent answered (sync topic titles are the start of a prompt)
+const CONTENT_FIELDS = new Set(['text', 'content', 'caption', 'prompt', 'transcript', 'reply', 'parts', 'input', 'output', 'body', 'title']);
+const SECRET_FIELD = /token$|secret|password|authorization|api_?key|signature|init_?data/i;
+const SECRET_PATTERNS = [
+    // Telegram bot tokens, also inside api.telegram.org/bot<token>/ URLs
+    [/\d{5,}:[A-Za-z0-9_-]{30,}/g, '[bot-token]'],
+    // OpenAI-style API keys
+    [/\bsk-[A-Za-z0-9_-]{16,}/g, '[api-key]'],
+    [/\b(Bearer|tma)\s+\S+/gi, '$1 [redacted]']
+];
+const MAX_DEPTH = 4;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run fn with fields (e.g. cid, chatId) added to every entry it logs
+ */
+export function withLogContext(fields, fn) {
+    return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+/**
+ * Short random ID that ties together the entries of one update or request
+ */
+export function newCorrelationId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+function maskSecrets(value) {
+    return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function sanitize(key, value, redact, depth = 0) {
+    if (value === undefined || value === null || typeof value === 'number' || typeof value === 'boolean') return value;
+    if (SECRET_FIELD.test(key)) return '[redacted]';
+    if (redact && CONTENT_FIELDS.has(key)) {
+        return typeof value === 'string' ? `[${value.length} chars]` : '[redacted]';
+    }
+    if (value instanceof Error) return maskSecrets(value.message);
+    if (typeof value === 'string') return maskSecrets(value);
+    if (typeof value !== 'object') return String(value);
+    if (depth >= MAX_DEPTH) return '[...]';
+    if (Array.isArray(value)) return value.map(item => sanitize('', item, redact, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, sanitize(k, v, redact, depth + 1)]));
+}
+
+function formatTextValue(value) {
+    if (typeof value === 'string') return /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+    return JSON.stringify(value);
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.level] - lowest level written (debug, info, warn, error or silent)
+ * @param {string} [options.format] - text or json
+ * @param {boolean} [options.redact] - hide user content (secrets are always masked)
+ * @param {string} [options.component] - component of the entries (child loggers set their own)
+ */
+export function createLogger({ level = 'info', format = 'text', redact = true, component = 'app' } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}" (use ${LOG_LEVELS.join(', ')})`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}" (use ${LOG_FORMATS.join(' or ')})`);
+    }
+    const threshold = LOG_LEVELS.indexOf(level);
+
+    function write(entryLevel, entryComponent, message, fields = {}) {
+        if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+
+        const data = {};
+        for (const [key, value] of Object.entries({ ...(context.getStore() || {}), ...fields })) {
+            if (value === undefined) continue;
+            data[key] = sanitize(key, value, redact);
+            // Stack traces only when debugging
+            if (value instanceof Error && level === 'debug' && value.stack) {
+                data[`${key}Stack`] = maskSecrets(value.stack);
+            }
+        }
+
+        const time = new Date().toISOString();
+        const msg = maskSecrets(String(message));
+        let line;
+        if (format === 'json') {
+            line = JSON.stringify({ time, level: entryLevel, component: entryComponent, msg, ...data });
+        } else {
+            const extra = Object.entries(data).map(([key, value]) => ` ${key}=${formatTextValue(value)}`).join('');
+            line = `${time} ${entryLevel.toUpperCase().padEnd(5)} [${entryComponent.toUpperCase()}] ${msg}${extra}`;
+        }
+        (entryLevel === 'warn' || entryLevel === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+
+    function forComponent(name) {
+        return {
+            debug: (message, fields) => write('debug', name, message, fields),
+            info: (message, fields) => write('info', name, message, fields),
+            warn: (message, fields) => write('warn', name, message, fields),
+            error: (message, fields) => write('error', name, message, fields),
+            isEnabled: (entryLevel) => LOG_LEVELS.indexOf(entryLevel) >= threshold,
+            child: forComponent
+        };
+    }
+
+    return forComponent(component);
+}
@@ -0,0 +1,131 @@
+/**
+ * Minimal Prometheus metrics registry
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus text exposition
+ * format (https://prometheus.io/docs/instrumenting/exposition_formats/). Gauges can be given a
+ * collect function that sets their values right before each scrape.
+ */
+
+// Default histogram buckets in seconds: 50ms up to 10 minutes (prompts can run for minutes)
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.prefix] - prepended to every metric name
+ */
+export function createMetrics({ prefix = '' } = {}) {
+    const metrics = [];
+
+    // Series are keyed by their label values in labelNames order
+    function seriesKey(labelNames, labels) {
+        return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+    }
+
+    function pickLabels(labelNames, labels) {
+        return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    function register(type, name, help, labelNames, extra = {}) {
+        const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map(), ...extra };
+        metrics.push(metric);
+        return metric;
+    }
+
+    return {
+        counter(name, help, labelNames = []) {
+            const metric = register('counter', name, help, labelNames);
+            return {
+                inc(labels = {}, value = 1) {
+                    const key = seriesKey(labelNames, labels);
+                    const series = metric.series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                    series.value += value;
+                    metric.series.set(key, series);
+                }
+            };
+        },
+
+        /**
+         * collect(set), if given, runs before each render and calls set(labels, value)
+         */
+        gauge(name, help, labelNames = [], collect = null) {
+            const metric = register('gauge', name, help, labelNames);
+            const set = (labels, value) => {
+                metric.series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+            };
+            if (collect) metric.collect = () => collect(set);
+            return { set };
+        },
+
+        histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+            const metric = register('histogram', name, help, labelNames, { buckets });
+            const observe = (labels, seconds) => {
+                const key = seriesKey(labelNames, labels);
+                let series = metric.series.get(key);
+                if (!series) {
+                    series = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    metric.series.set(key, series);
+                }
+                buckets.forEach((bound, i) => {
+                    if (seconds <= bound) series.counts[i]++;
+                });
+                series.sum += seconds;
+                series.count++;
+            };
+            return {
+                observe,
+                // Returns a function that records the time since startTimer was called
+                startTimer(labels = {}) {
+                    const start = process.hrtime.bigint();
+                    return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+                }
+            };
+        },
+
+        /**
+         * All metrics in the Prometheus text format
+         */
+        render() {
+            const lines = [];
+            for (const metric of metrics) {
+                if (metric.collect) {
+                    try {
+                        metric.collect();
+                    } catch {
+                        // A failing collector leaves the previous values
+                    }
+                }
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                for (const series of metric.series.values()) {
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                        continue;
+                    }
+                    metric.buckets.forEach((bound, i) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+                }
+            }
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
@@ -0,0 +1,155 @@
+/**
+ * Prompt queue - one prompt at a time per OpenCode session, a limited number overall
+ *
+ * Tasks for the same session run strictly in the order they were added (FIFO). Tasks for
+ * different sessions run in parallel, up to the global concurrency limit. Each chat can
+ * only have a limited number of tasks waiting.
+ *
+ * Waiting tasks are told their position: the number of tasks ahead of them in their
+ * session (including the running one), plus one.
+ */
+
+import { AsyncResource } from 'async_hooks';
+
+export class QueueFullError extends Error {
+    constructor(limit) {
+        super(`Too many queued prompts (limit ${limit})`);
+        this.name = 'QueueFullError';
+        this.limit = limit;
+    }
+}
+
+export class QueueCancelledError extends Error {
+    constructor() {
+        super('The queued prompt was cancelled');
+        this.name = 'QueueCancelledError';
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {number} options.concurrency - prompts running at the same time across all sessions
+ * @param {number} options.maxQueuedPerChat - waiting prompts allowed per chat
+ */
+export function createPromptQueue({ concurrency = 4, maxQueuedPerChat = 5 } = {}) {
+    // sessionId -> tasks, the first one is running (if started) or next up
+    const sessions = new Map();
+    let running = 0;
+    let sequence = 0;
+
+    function positionOf(task) {
+        return sessions.get(task.sessionId).indexOf(task) + 1;
+    }
+
+    function notifyPositions() {
+        for (const tasks of sessions.values()) {
+            for (const task of tasks) {
+                if (task.started) continue;
+                const position = positionOf(task);
+                if (position !== task.position) {
+                    task.position = position;
+                    task.hooks.onPositionChange?.(position);
+                }
+            }
+        }
+    }
+
+    // Start the oldest waiting tasks whose session is free, while slots are available
+    function schedule() {
+        while (running < concurrency) {
+            let next = null;
+            for (const tasks of sessions.values()) {
+                const head = tasks[0];
+                if (head && !head.started && (!next || head.seq < next.seq)) {
+                    next = head;
+                }
+            }
+            if (!next) break;
+            start(next);
+        }
+        notifyPositions();
+    }
+
+    function start(task) {
+        task.started = true;
+        running++;
+        Promise.resolve()
+            .then(() => task.hooks.onStart?.())
+            .catch(() => {})
+            .then(() => task.run())
+            .then(task.resolve, task.reject)
+            .finally(() => {
+                running--;
+                const tasks = sessions.get(task.sessionId);
+                tasks.shift();
+                if (tasks.length === 0) sessions.delete(task.sessionId);
+                schedule();
+            });
+    }
+
+    return {
+        /**
+         * Queue a task for a session; resolves with the task's result once it has run
+         * hooks: onQueued(position) when it has to wait, onPositionChange(position), onStart()
+         * Throws QueueFullError if the chat already has too many prompts waiting
+         */
+        run(sessionId, chatId, run, hooks = {}) {
+            const waiting = this.waitingForChat(chatId);
+            const tasks = sessions.get(sessionId) || [];
+            const mustWait = tasks.length > 0 || running >= concurrency;
+            if (mustWait && waiting >= maxQueuedPerChat) {
+                return Promise.reject(new QueueFullError(maxQueuedPerChat));
+            }
+
+            return new Promise((resolve, reject) => {
+                // The task runs in the caller's async context (e.g. its log correlation ID), not the one that freed the slot
+                const task = { sessionId, chatId, run: AsyncResource.bind(run), hooks, resolve, reject, seq: sequence++, started: false };
+                tasks.push(task);
+                sessions.set(sessionId, tasks);
+                task.position = positionOf(task);
+                schedule();
+                if (!task.started) {
+                    hooks.onQueued?.(task.position);
+                }
+            });
+        },
+
+        /**
+         * Drop the session's waiting tasks (the running one is left alone); they reject with QueueCancelledError
+         * Returns how many were dropped
+         */
+        cancelWaiting(sessionId) {
+            const tasks = sessions.get(sessionId);
+            if (!tasks) return 0;
+            const waiting = tasks.filter(task => !task.started);
+            const remaining = tasks.filter(task => task.started);
+            if (remaining.length > 0) {
+                sessions.set(sessionId, remaining);
+            } else {
+                sessions.delete(sessionId);
+            }
+            for (const task of waiting) {
+                task.reject(new QueueCancelledError());
+            }
+            notifyPositions();
+            return waiting.length;
+        },
+
+        // Prompts of a chat that are waiting (not running)
+        waitingForChat(chatId) {
+            let count = 0;
+            for (const tasks of sessions.values()) {
+                count += tasks.filter(task => !task.started && String(task.chatId) === String(chatId)).length;
+            }
+            return count;
+        },
+
+        stats() {
+            let waiting = 0;
+            for (const tasks of sessions.values()) {
+                waiting += tasks.filter(task => !task.started).length;
+            }
+            return { running, waiting };
+        }
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * Authentication for the bot's HTTP endpoints
+ *
+ * Signed requests (used by the telegram-sync plugin, full access):
+ *
+ *   X-OpenTelegram-Timestamp: <unix seconds>
+ *   X-OpenTelegram-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path>.<raw body>">
+ *
+ * keyed with the shared secret. The timestamp must be within maxSkewSeconds of the server's
+ * clock, and each signature is accepted only once, so a captured request can't be replayed.
+ *
+ * API tokens (for /api/*, limited to scopes):
+ *
+ *   Authorization: Bearer <token>
+ *
+ * configured as "name:token:scope+scope,..." where a scope names a group of endpoints
+ * (e.g. chat, sessions, metrics) and * allows them all.
+ */
+
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+export const TIMESTAMP_HEADER = 'X-OpenTelegram-Timestamp';
+export const SIGNATURE_HEADER = 'X-OpenTelegram-Signature';
+
+/**
+ * Signature of a request (the plugin computes the same value)
+ */
+export function signRequest(secret, timestamp, method, path, body = '') {
+    const hmac = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${method.toUpperCase()}.${path}.`)
+        .update(body)
+        .digest('hex');
+    return `sha256=${hmac}`;
+}
+
+function safeEqual(a, b) {
+    // Hash first so the comparison doesn't leak the length
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Parse "name:token:scope+scope,..." into [{ name, token, scopes }]
+ */
+export function parseApiTokens(value) {
+    return String(value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, token, scopes = '*'] = entry.split(':');
+            if (!name || !token) {
+                throw new Error(`Invalid API token entry "${entry.split(':')[0]}" (expected name:token:scopes)`);
+            }
+            return { name, token, scopes: scopes.split('+').map(scope => scope.trim()).filter(Boolean) };
+        });
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.secret] - shared secret for signed requests
+ * @param {Array} [options.tokens] - API tokens from parseApiTokens()
+ * @param {number} [options.maxSkewSeconds] - how far a request's timestamp may be off
+ * @param {object} [options.log] - logger (see lib/logger.js)
+ */
+export function createRequestAuth({ secret = '', tokens = [], maxSkewSeconds = 300, log = createLogger({ component: 'auth' }) } = {}) {
+    // Signatures accepted within the time window (signature -> expiry in ms)
+    const seenSignatures = new Map();
+
+    function forgetExpired() {
+        const now = Date.now();
+        for (const [signature, expiresAt] of seenSignatures) {
+            if (expiresAt <= now) seenSignatures.delete(signature);
+        }
+    }
+
+    // Returns null if the request is properly signed, otherwise the reason it isn't
+    function checkSignature(req) {
+        const timestamp = req.get(TIMESTAMP_HEADER);
+        const signature = req.get(SIGNATURE_HEADER);
+        if (!timestamp || !signature) return 'missing signature';
+        if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSeconds) {
+            return 'timestamp outside the allowed window';
+        }
+
+        const path = req.originalUrl.split('?')[0];
+        const expected = signRequest(secret, timestamp, req.method, path, req.rawBody || '');
+        if (!safeEqual(signature, expected)) return 'invalid signature';
+
+        forgetExpired();
+        if (seenSignatures.has(signature)) return 'replayed request';
+        seenSignatures.set(signature, Date.now() + maxSkewSeconds * 2000);
+        return null;
+    }
+
+    function findToken(req) {
+        const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+        if (!match) return null;
+        return tokens.find(entry => safeEqual(match[1], entry.token)) || null;
+    }
+
+    function reject(req, res, status, error) {
+        log.warn(`Rejected ${req.method} ${req.originalUrl.split('?')[0]}: ${error}`, { ip: req.ip });
+        res.status(status).json({ error });
+    }
+
+    return {
+        enabled: Boolean(secret) || tokens.length > 0,
+
+        /**
+         * Middleware: only signed requests
+         */
+        requireSignature(req, res, next) {
+            if (!secret) {
+                return reject(req, res, 503, 'Request signing is not configured (set TELEGRAM_SYNC_SECRET)');
+            }
+            const problem = checkSignature(req);
+            if (problem) return reject(req, res, 401, problem);
+            next();
+        },
+
+        /**
+         * Middleware factory: signed requests, or an API token that has the scope
+         * Sets req.apiClient (the token's name, or 'signed') and req.apiScopes
+         */
+        requireScope(scope) {
+            return (req, res, next) => {
+                if (!secret && tokens.length === 0) {
+                    return reject(req, res, 503, 'API authentication is not configured (set TELEGRAM_SYNC_SECRET or API_TOKENS)');
+                }
+                if (req.get(SIGNATURE_HEADER)) {
+                    const problem = secret ? checkSignature(req) : 'request signing is not configured';
+                    if (problem) return reject(req, res, 401, problem);
+                    req.apiClient = 'signed';
+                    req.apiScopes = ['*'];
+                    return next();
+                }
+
+                const token = findToken(req);
+                if (!token) return reject(req, res, 401, 'missing or unknown API token');
+                if (!token.scopes.includes('*') && !token.scopes.includes(scope)) {
+                    return reject(req, res, 403, `token "${token.name}" does not have the "${scope}" scope`);
+                }
+                req.apiClient = token.name;
+                req.apiScopes = token.scopes;
+                next();
+            };
+        }
+    };
+}
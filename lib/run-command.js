@@ -0,0 +1,50 @@
+/**
+ * Run an external command (ffmpeg, whisper, piper, unzip, tar, ...) with a time limit
+ *
+ * Resolves with the command's stdout. Rejects if it can't be started, exits with a non-zero
+ * code (the end of stderr is included in the error) or runs longer than timeoutMs, in which
+ * case it is killed.
+ */
+
+import { spawn } from 'child_process';
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} [options]
+ * @param {string|Buffer} [options.input] - written to the command's stdin
+ * @param {number} [options.timeoutMs] - time limit (default 60 seconds)
+ */
+export function runCommand(command, args, { input, timeoutMs = 60000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        let stdout = '';
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`${command} timed out after ${timeoutMs / 1000} seconds`));
+        }, timeoutMs);
+
+        child.stdout.on('data', (data) => { stdout += data.toString(); });
+        child.stderr.on('data', (data) => { stderr += data.toString(); });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(new Error(`${command} failed to start: ${error.message}`));
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(`${command} failed with code ${code}: ${stderr.slice(-500)}`));
+            }
+        });
+
+        if (input !== undefined) {
+            // A command that exits without reading its input must not crash the bot (EPIPE)
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        }
+    });
+}
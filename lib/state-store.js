@@ -0,0 +1,275 @@
+/**
+ * Persistent state store for OpenTelegram
+ *
+ * Keeps bot state (chat sessions, model choices, topic mappings, ...) across
+ * restarts. State is grouped into named collections, and each collection is
+ * exposed as a Map or Set that writes through to the backend on every change.
+ *
+ * Backends:
+ *   json   - a single JSON file, rewritten atomically shortly after a change; changes made
+ *            in quick succession are written together (default)
+ *   sqlite - a SQLite database via better-sqlite3 (optional dependency)
+ *
+ * Values are stored as JSON, as they were when set() was called. Objects kept in a
+ * collection must be written back with set() after being modified, otherwise the
+ * change is not persisted (with either backend).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * JSON file backend - the whole state lives in memory and is written to disk
+ * (temp file + rename) flushDelayMs after a collection changes
+ */
+class JsonFileBackend {
+    constructor(filePath, log, flushDelayMs) {
+        this.filePath = filePath;
+        this.log = log;
+        this.flushDelayMs = flushDelayMs;
+        this.collections = {};
+        this.timer = null;
+        // Pending changes must not be lost when the process exits without close()
+        this.onExit = () => this.safeFlush();
+        process.once('exit', this.onExit);
+
+        if (fs.existsSync(filePath)) {
+            try {
+                const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                // Entries are stored as [key, value] pairs so numeric keys (chat IDs) keep their type
+                for (const [name, entries] of Object.entries(raw.collections || {})) {
+                    this.collections[name] = new Map(entries);
+                }
+            } catch (error) {
+                // Keep the unreadable file around instead of overwriting it
+                const backupPath = `${filePath}.corrupt-${Date.now()}`;
+                fs.renameSync(filePath, backupPath);
+                log.error(`Could not read ${filePath}, moved it to ${backupPath}`, { error });
+            }
+        }
+    }
+
+    collection(name) {
+        if (!this.collections[name]) {
+            this.collections[name] = new Map();
+        }
+        return this.collections[name];
+    }
+
+    entries(name) {
+        return Array.from(this.collection(name).entries());
+    }
+
+    set(name, key, value) {
+        // Keep a snapshot, like SQLite does, so later changes to the object aren't saved behind the caller's back
+        this.collection(name).set(key, JSON.parse(JSON.stringify(value ?? null)));
+        this.scheduleFlush();
+    }
+
+    delete(name, key) {
+        this.collection(name).delete(key);
+        this.scheduleFlush();
+    }
+
+    clear(name) {
+        this.collection(name).clear();
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => this.safeFlush(), this.flushDelayMs);
+        // A pending write must not keep the process alive (exit and close() flush it)
+        this.timer.unref();
+    }
+
+    flush() {
+        if (!this.timer) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const collections = {};
+        for (const [name, entries] of Object.entries(this.collections)) {
+            collections[name] = Array.from(entries.entries());
+        }
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: 1, collections }));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    safeFlush() {
+        try {
+            this.flush();
+        } catch (error) {
+            this.log.error(`Failed to write ${this.filePath}`, { error });
+        }
+    }
+
+    close() {
+        process.removeListener('exit', this.onExit);
+        this.safeFlush();
+    }
+}
+
+/**
+ * SQLite backend - one row per collection entry, keys and values stored as JSON
+ */
+class SqliteBackend {
+    constructor(Database, filePath) {
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS state (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (collection, key)
+            )
+        `);
+
+        this.selectStmt = this.db.prepare('SELECT key, value FROM state WHERE collection = ?');
+        this.upsertStmt = this.db.prepare(
+            'INSERT INTO state (collection, key, value) VALUES (?, ?, ?) ' +
+            'ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value'
+        );
+        this.deleteStmt = this.db.prepare('DELETE FROM state WHERE collection = ? AND key = ?');
+        this.clearStmt = this.db.prepare('DELETE FROM state WHERE collection = ?');
+    }
+
+    entries(name) {
+        return this.selectStmt.all(name).map(row => [JSON.parse(row.key), JSON.parse(row.value)]);
+    }
+
+    set(name, key, value) {
+        this.upsertStmt.run(name, JSON.stringify(key), JSON.stringify(value));
+    }
+
+    delete(name, key) {
+        this.deleteStmt.run(name, JSON.stringify(key));
+    }
+
+    clear(name) {
+        this.clearStmt.run(name);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Run a backend write, logging failures instead of crashing the bot
+function persist(log, name, operation) {
+    try {
+        operation();
+    } catch (error) {
+        log.error(`Failed to persist "${name}"`, { error });
+    }
+}
+
+/**
+ * Map that writes every change through to the store backend
+ */
+class PersistentMap extends Map {
+    constructor(backend, name, log) {
+        super();
+        this.backend = backend;
+        this.name = name;
+        this.log = log;
+        for (const [key, value] of backend.entries(name)) {
+            super.set(key, value);
+        }
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        persist(this.log, this.name, () => this.backend.set(this.name, key, value));
+        return this;
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) {
+            persist(this.log, this.name, () => this.backend.delete(this.name, key));
+        }
+        return existed;
+    }
+
+    clear() {
+        super.clear();
+        persist(this.log, this.name, () => this.backend.clear(this.name));
+    }
+}
+
+/**
+ * Set that writes every change through to the store backend
+ */
+class PersistentSet extends Set {
+    constructor(backend, name, log) {
+        super();
+        this.backend = backend;
+        this.name = name;
+        this.log = log;
+        for (const [key] of backend.entries(name)) {
+            super.add(key);
+        }
+    }
+
+    add(value) {
+        if (!super.has(value)) {
+            super.add(value);
+            persist(this.log, this.name, () => this.backend.set(this.name, value, true));
+        }
+        return this;
+    }
+
+    delete(value) {
+        const existed = super.delete(value);
+        if (existed) {
+            persist(this.log, this.name, () => this.backend.delete(this.name, value));
+        }
+        return existed;
+    }
+
+    clear() {
+        super.clear();
+        persist(this.log, this.name, () => this.backend.clear(this.name));
+    }
+}
+
+/**
+ * Open the state store
+ *
+ * @param {object} options
+ * @param {string} [options.backend] - 'json' (default) or 'sqlite'
+ * @param {string} options.path - file to keep the state in
+ * @param {number} [options.flushDelayMs] - how long the json backend gathers changes before writing them
+ * @param {object} [options.log] - logger (see lib/logger.js)
+ */
+export async function createStateStore({ backend = 'json', path: filePath, flushDelayMs = 200, log = createLogger({ component: 'state' }) }) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    let storeBackend;
+    if (backend === 'sqlite') {
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error(`STATE_BACKEND=sqlite requires the better-sqlite3 package (${error.message})`);
+        }
+        storeBackend = new SqliteBackend(Database, filePath);
+    } else if (backend === 'json') {
+        storeBackend = new JsonFileBackend(filePath, log, flushDelayMs);
+    } else {
+        throw new Error(`Unknown state backend: ${backend}`);
+    }
+
+    log.info(`Using ${backend} state store at ${filePath}`);
+
+    return {
+        map: (name) => new PersistentMap(storeBackend, name, log),
+        set: (name) => new PersistentSet(storeBackend, name, log),
+        close: () => storeBackend.close()
+    };
+}
@@ -0,0 +1,233 @@
+/**
+ * Markdown to Telegram HTML
+ *
+ * Model output is CommonMark-ish Markdown, which Telegram's own Markdown modes reject as soon
+ * as a single * or _ is unbalanced. This converts it to the small HTML subset Telegram accepts:
+ *
+ *   headings      -> bold lines
+ *   lists         -> "•" / numbered lines, indented by nesting level
+ *   code blocks   -> <pre><code class="language-x">
+ *   tables        -> aligned columns in a <pre> block
+ *   blockquotes   -> <blockquote>
+ *   inline        -> <b>, <i>, <s>, <code>, <a>, <tg-spoiler>
+ *
+ * Anything that doesn't form a complete construct is left as literal (escaped) text.
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const SAFE_URL_PATTERN = /^(https?:\/\/|tg:\/\/|mailto:)/i;
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert inline Markdown (emphasis, code spans, links) in a single line to Telegram HTML
+ */
+function formatInline(text) {
+    const placeholders = [];
+    const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    // Code spans and links are taken out first so their contents are never treated as emphasis
+    let result = text
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => SAFE_URL_PATTERN.test(url)
+            ? hold(`<a href="${escapeAttribute(url)}">${formatEmphasis(escapeHtml(label))}</a>`)
+            : match)
+        .replace(/<((?:https?|mailto):[^\s>]+)>/g, (_, url) => hold(`<a href="${escapeAttribute(url)}">${escapeHtml(url)}</a>`));
+
+    result = formatEmphasis(escapeHtml(result));
+    return result.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
+}
+
+// Emphasis markers on already escaped text; only complete pairs are converted
+function formatEmphasis(text) {
+    return text
+        .replace(/\*\*(?![\s*])(.+?)(?<![\s*])\*\*/g, '<b>$1</b>')
+        .replace(/(?<![\w_])__(?![\s_])(.+?)(?<![\s_])__(?![\w_])/g, '<b>$1</b>')
+        .replace(/(?<![\w*])\*(?![\s*])([^*]+?)(?<![\s*])\*(?![\w*])/g, '<i>$1</i>')
+        .replace(/(?<![\w_])_(?![\s_])([^_]+?)(?<![\s_])_(?![\w_])/g, '<i>$1</i>')
+        .replace(/~~(?!\s)(.+?)(?<!\s)~~/g, '<s>$1</s>')
+        .replace(/\|\|(?!\s)(.+?)(?<!\s)\|\|/g, '<tg-spoiler>$1</tg-spoiler>');
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Render a Markdown table as aligned columns (Telegram has no table markup)
+function formatTable(lines) {
+    const rows = lines
+        .filter(line => !TABLE_DIVIDER_PATTERN.test(line))
+        .map(splitTableRow);
+    const widths = [];
+    for (const row of rows) {
+        row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, cell.length); });
+    }
+    const rendered = rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+    rendered.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+    return `<pre>${escapeHtml(rendered.join('\n'))}</pre>`;
+}
+
+// Check that every tag we emitted is closed in order (crossed emphasis like **a *b** c* is not)
+function isBalanced(html) {
+    const stack = [];
+    for (const [, closing, name] of html.matchAll(/<(\/?)([a-z-]+)[^>]*>/g)) {
+        if (!closing) {
+            stack.push(name);
+        } else if (stack.pop() !== name) {
+            return false;
+        }
+    }
+    return stack.length === 0;
+}
+
+/**
+ * Convert Markdown to Telegram HTML (use with parse_mode: 'HTML')
+ * An unclosed code fence runs to the end of the text, so partial (streamed) replies render too
+ */
+export function markdownToTelegramHtml(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const output = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const [, marker, language] = fence;
+            const code = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            const escaped = escapeHtml(code.join('\n'));
+            output.push(language
+                ? `<pre><code class="language-${escapeAttribute(language)}">${escaped}</code></pre>`
+                : `<pre>${escaped}</pre>`);
+            continue;
+        }
+
+        if (line.includes('|') && TABLE_DIVIDER_PATTERN.test(lines[i + 1] || '')) {
+            const table = [line];
+            while (i + 1 < lines.length && lines[i + 1].includes('|')) {
+                table.push(lines[++i]);
+            }
+            output.push(formatTable(table));
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(formatInline(lines[i].replace(/^\s*>\s?/, '')));
+                i++;
+            }
+            i--;
+            output.push(`<blockquote>${quote.join('\n')}</blockquote>`);
+            continue;
+        }
+
+        const heading = line.match(/^ {0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/);
+        if (heading) {
+            output.push(`<b>${formatInline(heading[1])}</b>`);
+            continue;
+        }
+
+        if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            output.push('──────────');
+            continue;
+        }
+
+        const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?(.*)$/);
+        if (listItem) {
+            const [, indent, marker, task, content] = listItem;
+            const depth = Math.floor(indent.replace(/\t/g, '    ').length / 2);
+            let bullet = /\d/.test(marker) ? marker.replace(')', '.') : '•';
+            if (task) bullet = /x/i.test(task) ? '☑' : '☐';
+            output.push(`${'  '.repeat(depth)}${bullet} ${formatInline(content)}`);
+            continue;
+        }
+
+        output.push(formatInline(line));
+    }
+
+    const html = output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    return isBalanced(html) ? html : escapeHtml(markdown);
+}
+
+/**
+ * Split Markdown into chunks of at most maxLength characters, preferring line breaks
+ * A code block that is cut in two is closed at the end of one chunk and reopened in the next
+ */
+export function splitMarkdown(text, maxLength = 4000) {
+    if (text.length <= maxLength) return [text];
+
+    const chunks = [];
+    let remaining = text;
+
+    while (remaining.length > maxLength) {
+        // Leave room to close an open code fence
+        const limit = maxLength - 8;
+        let splitIndex = remaining.lastIndexOf('\n', limit);
+        if (splitIndex < limit / 2) {
+            splitIndex = remaining.lastIndexOf(' ', limit);
+        }
+        if (splitIndex < limit / 2) {
+            splitIndex = limit;
+        }
+
+        let chunk = remaining.slice(0, splitIndex);
+        remaining = remaining.slice(splitIndex).replace(/^\n/, '');
+
+        // Find the fence (if any) that is still open at the cut
+        let openFence = null;
+        for (const line of chunk.split('\n')) {
+            const fence = line.match(FENCE_PATTERN);
+            if (!fence) continue;
+            if (!openFence) {
+                openFence = { marker: fence[1], line: line.trim() };
+            } else if (!fence[2] && fence[1][0] === openFence.marker[0] && fence[1].length >= openFence.marker.length) {
+                openFence = null;
+            }
+        }
+
+        if (openFence) {
+            chunk += `\n${openFence.marker}`;
+            remaining = `${openFence.line}\n${remaining}`;
+        } else {
+            remaining = remaining.trimStart();
+        }
+        chunks.push(chunk);
+    }
+
+    if (remaining.trim()) chunks.push(remaining);
+    return chunks;
+}
+
+/**
+ * Split Markdown for sending: returns [{ text, html }] where html fits in one Telegram message
+ * and text is the Markdown source of the chunk (for the plain text fallback)
+ */
+export function formatMarkdownChunks(markdown, maxLength = 4000) {
+    const chunks = [];
+    for (const text of splitMarkdown(markdown, maxLength)) {
+        const html = markdownToTelegramHtml(text);
+        // Escaping can push a chunk over the limit - split it further
+        if (html.length > 4096 && maxLength > 500) {
+            chunks.push(...formatMarkdownChunks(text, Math.floor(maxLength / 2)));
+        } else {
+            chunks.push({ text, html });
+        }
+    }
+    return chunks;
+}
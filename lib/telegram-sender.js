@@ -0,0 +1,193 @@
+/**
+ * Resilient outbound layer for node-telegram-bot-api
+ *
+ * Every Bot API call the bot makes (sends, edits, reactions, deletes, ...) goes through the
+ * library's _request(), so the layer is installed there once instead of at each call site:
+ *
+ *   - rate limits: a global requests-per-second limit, and per-chat limits for private
+ *     chats and groups (Telegram allows far fewer messages per minute in groups)
+ *   - 429 Too Many Requests: waits the retry_after Telegram asks for (holding back the
+ *     chat's other messages too) and tries again
+ *   - transient failures (network errors, 5xx): retried with exponential backoff. Sends that
+ *     post something new (sendMessage, sendDocument, ...) are only retried when the request
+ *     can't have reached Telegram, so a reply that did arrive is never posted twice
+ *   - requests that still fail are passed to onFailure before the error is rethrown
+ *
+ * Updates (getUpdates) and webhook management are passed straight through.
+ */
+
+import { createLogger } from './logger.js';
+
+const PASSTHROUGH_METHODS = new Set(['getUpdates', 'setWebHook', 'deleteWebhook', 'getWebhookInfo', 'getMe', 'getFile']);
+// Methods that don't count against a chat's message limit
+const UNLIMITED_METHODS = new Set(['sendChatAction', 'answerCallbackQuery']);
+const TRANSIENT_NETWORK_ERRORS = /ECONNRESET|ETIMEDOUT|ESOCKETTIMEDOUT|ECONNREFUSED|EAI_AGAIN|ENOTFOUND|EPIPE|socket hang up/i;
+// Network errors raised before the request was sent (no connection, no DNS)
+const UNSENT_NETWORK_ERRORS = /ECONNREFUSED|EAI_AGAIN|ENOTFOUND/i;
+// Methods that post something new; repeating one after Telegram got it posts it twice
+const NON_IDEMPOTENT_METHODS = /^(send(?!ChatAction)|forward|copy)/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sliding window limiter: at most `limit` requests per `windowMs`, granted in arrival order
+ */
+function createWindow(limit, windowMs) {
+    const stamps = [];
+    let queue = Promise.resolve();
+    let pausedUntil = 0;
+
+    return {
+        acquire() {
+            const turn = queue.then(async () => {
+                for (;;) {
+                    const now = Date.now();
+                    while (stamps.length && stamps[0] <= now - windowMs) stamps.shift();
+                    const windowWait = stamps.length >= limit ? stamps[0] + windowMs - now : 0;
+                    const wait = Math.max(windowWait, pausedUntil - now);
+                    if (wait <= 0) break;
+                    await sleep(wait);
+                }
+                stamps.push(Date.now());
+            });
+            queue = turn.catch(() => {});
+            return turn;
+        },
+
+        // Hold back everything behind this window (after a 429)
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        },
+
+        get idle() {
+            return stamps.length === 0 || stamps[stamps.length - 1] <= Date.now() - windowMs;
+        }
+    };
+}
+
+// Seconds Telegram asked us to wait, if this is a 429
+function getRetryAfter(error) {
+    return error.response?.body?.parameters?.retry_after ?? null;
+}
+
+function isTransient(error) {
+    const status = error.response?.statusCode;
+    if (status) return status >= 500;
+    // Network errors come wrapped as EFATAL with the original message
+    return error.code === 'EFATAL' && TRANSIENT_NETWORK_ERRORS.test(error.message);
+}
+
+// Whether a failed method can be sent again without the risk of a duplicate
+function isSafeToRepeat(method, error) {
+    if (!NON_IDEMPOTENT_METHODS.test(method)) return true;
+    if (getRetryAfter(error) !== null) return true;
+    return !error.response && error.code === 'EFATAL' && UNSENT_NETWORK_ERRORS.test(error.message);
+}
+
+// Uploads from streams can't be sent twice
+function isReplayable(options) {
+    return !Object.values(options.formData || {}).some(part => typeof (part?.value ?? part)?.pipe === 'function');
+}
+
+/**
+ * Install the layer on a TelegramBot instance
+ *
+ * @param {TelegramBot} bot
+ * @param {object} options
+ * @param {number} [options.globalPerSecond] - requests per second across all chats
+ * @param {number} [options.privatePerMinute] - messages per minute to one private chat
+ * @param {number} [options.groupPerMinute] - messages per minute to one group or channel
+ * @param {number} [options.maxAttempts] - attempts for 429s and transient errors
+ * @param {function} [options.onFailure] - called with { method, chatId, threadId, attempts, error } when a request is given up
+ * @param {function} [options.onRateLimited] - called with { method, chatId, retryAfter } for every 429 response
+ * @param {object} [options.log] - logger (see lib/logger.js)
+ */
+export function installSendLayer(bot, {
+    globalPerSecond = 30,
+    privatePerMinute = 60,
+    groupPerMinute = 20,
+    maxAttempts = 5,
+    onFailure = () => {},
+    onRateLimited = () => {},
+    log = createLogger({ component: 'send' })
+} = {}) {
+    const request = bot._request.bind(bot);
+    const globalWindow = createWindow(globalPerSecond, 1000);
+    const chatWindows = new Map();
+    let failures = 0;
+
+    function getChatWindow(chatId) {
+        let window = chatWindows.get(chatId);
+        if (!window) {
+            // Group and channel IDs are negative (or @channelname)
+            const isPrivate = Number(chatId) > 0;
+            window = createWindow(isPrivate ? privatePerMinute : groupPerMinute, 60 * 1000);
+            chatWindows.set(chatId, window);
+            // Forget chats that have been quiet for a while
+            if (chatWindows.size > 1000) {
+                for (const [id, w] of chatWindows) {
+                    if (w.idle) chatWindows.delete(id);
+                }
+            }
+        }
+        return window;
+    }
+
+    bot._request = async (method, options = {}) => {
+        if (PASSTHROUGH_METHODS.has(method)) {
+            return request(method, options);
+        }
+
+        const chatId = options.form?.chat_id ?? options.qs?.chat_id;
+        const chatWindow = chatId !== undefined && !UNLIMITED_METHODS.has(method) ? getChatWindow(String(chatId)) : null;
+
+        for (let attempt = 1; ; attempt++) {
+            if (chatWindow) await chatWindow.acquire();
+            await globalWindow.acquire();
+
+            try {
+                return await request(method, options);
+            } catch (error) {
+                const retryAfter = getRetryAfter(error);
+                if (retryAfter !== null) {
+                    try {
+                        onRateLimited({ method, chatId, retryAfter });
+                    } catch (e) {
+                        // Ignore - reporting only
+                    }
+                }
+                const transient = retryAfter !== null || isTransient(error);
+                const retryable = transient && isSafeToRepeat(method, error) && isReplayable(options);
+
+                if (!retryable || attempt >= maxAttempts) {
+                    // 400s are the caller's business (bad markup, message not modified, ...)
+                    if (transient || error.response?.statusCode === 403) {
+                        failures++;
+                        try {
+                            onFailure({ method, chatId, threadId: options.form?.message_thread_id, attempts: attempt, error });
+                        } catch (e) {
+                            // Never let reporting hide the original error
+                        }
+                    }
+                    throw error;
+                }
+
+                let delay;
+                if (retryAfter !== null) {
+                    delay = retryAfter * 1000 + 250;
+                    (chatWindow || globalWindow).pause(delay);
+                } else {
+                    delay = Math.min(30000, 1000 * 2 ** (attempt - 1)) + Math.floor(Math.random() * 250);
+                }
+                log.warn(`${method} failed, retrying in ${Math.round(delay / 1000)}s`, { method, chatId, attempt, error });
+                await sleep(delay);
+            }
+        }
+    };
+
+    return {
+        get failures() {
+            return failures;
+        }
+    };
+}
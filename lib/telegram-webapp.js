@@ -0,0 +1,53 @@
+/**
+ * Telegram Mini App login
+ *
+ * A Mini App receives initData from Telegram (user, auth_date, ..., hash). It is signed with a
+ * key derived from the bot token, so the server can check that the data really comes from
+ * Telegram for this bot:
+ *
+ *   secret_key = HMAC_SHA256(key: "WebAppData", data: bot_token)
+ *   hash       = hex(HMAC_SHA256(key: secret_key, data: data_check_string))
+ *
+ * where data_check_string is every field except hash, as "key=value", sorted and joined by "\n".
+ * See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Validate Mini App initData (the raw query string from Telegram.WebApp.initData)
+ * Returns the parsed fields (user parsed from JSON), or null if the data is invalid or too old
+ *
+ * @param {string} initData
+ * @param {string} botToken
+ * @param {object} [options]
+ * @param {number} [options.maxAgeSeconds] - reject logins older than this (default 24 hours)
+ */
+export function validateInitData(initData, botToken, { maxAgeSeconds = 24 * 60 * 60 } = {}) {
+    if (!initData || !botToken) return null;
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) return null;
+    params.delete('hash');
+
+    const dataCheckString = [...params.entries()]
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+    if (!crypto.timingSafeEqual(expected, Buffer.from(hash, 'hex'))) return null;
+
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || Date.now() / 1000 - authDate > maxAgeSeconds) return null;
+
+    const data = Object.fromEntries(params.entries());
+    try {
+        data.user = data.user ? JSON.parse(data.user) : null;
+    } catch {
+        return null;
+    }
+    data.auth_date = authDate;
+    return data;
+}
@@ -0,0 +1,139 @@
+/**
+ * Text-to-speech providers for spoken replies
+ *
+ * Every provider exposes the same interface:
+ *   synthesize(text) -> Promise<Buffer>   (OGG/Opus, ready for Telegram's sendVoice)
+ *
+ * Providers:
+ *   openai            - OpenAI speech API (tts-1 / gpt-4o-mini-tts)
+ *   openai-compatible - any server speaking the OpenAI speech API (TTS_BASE_URL)
+ *   local             - a local engine such as piper (TTS_COMMAND); the text is written to its
+ *                       stdin and the audio file it writes is converted to OGG/Opus with ffmpeg
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import OpenAI from 'openai';
+import { runCommand } from './run-command.js';
+
+/**
+ * Turn a Markdown reply into something worth listening to:
+ * code blocks are summarised, inline formatting and link targets are dropped
+ */
+export function prepareTextForSpeech(markdown, maxLength = 4000) {
+    let text = markdown
+        .replace(/```(\w+)?[^\n]*\n[\s\S]*?(```|$)/g, (_, lang) => lang ? ` (${lang} code omitted) ` : ' (code omitted) ')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s*[-*+]\s+/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/\|/g, ' ')
+        .replace(/[*_~]{1,3}([^*_~]+)[*_~]{1,3}/g, '$1')
+        .replace(/\n{2,}/g, '\n')
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+
+    if (text.length > maxLength) {
+        // Cut at the last sentence end that fits
+        const cut = text.slice(0, maxLength);
+        const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+        text = sentenceEnd > maxLength / 2 ? cut.slice(0, sentenceEnd + 1) : cut;
+    }
+    return text;
+}
+
+/**
+ * OpenAI API or an OpenAI-compatible server - asks for Opus directly, which comes in an OGG container
+ */
+function createApiSynthesizer({ name, apiKey, baseURL, model, voice }) {
+    const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+    return {
+        name,
+        async synthesize(text) {
+            const response = await client.audio.speech.create({
+                model,
+                voice,
+                input: text,
+                response_format: 'opus'
+            });
+            return Buffer.from(await response.arrayBuffer());
+        }
+    };
+}
+
+/**
+ * Local engine - TTS_COMMAND is split on spaces and {output} is replaced with the file to write
+ * e.g. "piper --model /models/en_US-lessac-medium.onnx --output_file {output}"
+ */
+function createLocalSynthesizer({ command, timeoutMs }) {
+    const [binary, ...argTemplate] = command.trim().split(/\s+/);
+
+    return {
+        name: 'local',
+        async synthesize(text) {
+            const base = path.join(os.tmpdir(), `tts_${Date.now()}_${process.pid}`);
+            const rawPath = `${base}.wav`;
+            const oggPath = `${base}.ogg`;
+            try {
+                await runCommand(binary, argTemplate.map(arg => arg.replace('{output}', rawPath)), { input: text, timeoutMs });
+                await runCommand('ffmpeg', ['-y', '-i', rawPath, '-c:a', 'libopus', '-b:a', '32k', oggPath]);
+                return fs.readFileSync(oggPath);
+            } finally {
+                fs.rmSync(rawPath, { force: true });
+                fs.rmSync(oggPath, { force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Create the configured synthesizer, or null if spoken replies are not configured
+ *
+ * @param {object} env - usually process.env
+ */
+export function createSynthesizer(env) {
+    const provider = env.TTS_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : null);
+
+    if (provider === 'openai') {
+        if (!env.OPENAI_API_KEY) {
+            throw new Error('TTS_PROVIDER=openai requires OPENAI_API_KEY');
+        }
+        return createApiSynthesizer({
+            name: 'openai',
+            apiKey: env.OPENAI_API_KEY,
+            model: env.TTS_MODEL || 'tts-1',
+            voice: env.TTS_VOICE || 'alloy'
+        });
+    }
+
+    if (provider === 'openai-compatible') {
+        if (!env.TTS_BASE_URL) {
+            throw new Error('TTS_PROVIDER=openai-compatible requires TTS_BASE_URL');
+        }
+        return createApiSynthesizer({
+            name: 'openai-compatible',
+            apiKey: env.TTS_API_KEY || env.OPENAI_API_KEY || 'not-needed',
+            baseURL: env.TTS_BASE_URL,
+            model: env.TTS_MODEL || 'tts-1',
+            voice: env.TTS_VOICE || 'alloy'
+        });
+    }
+
+    if (provider === 'local') {
+        if (!env.TTS_COMMAND) {
+            throw new Error('TTS_PROVIDER=local requires TTS_COMMAND');
+        }
+        return createLocalSynthesizer({
+            command: env.TTS_COMMAND,
+            timeoutMs: (parseInt(env.TTS_TIMEOUT_SECONDS) || 120) * 1000
+        });
+    }
+
+    if (provider) {
+        throw new Error(`Unknown TTS_PROVIDER: ${provider}`);
+    }
+    return null;
+}
@@ -0,0 +1,117 @@
+/**
+ * Speech-to-text providers for voice and audio prompts
+ *
+ * Every provider exposes the same interface:
+ *   transcribe(filePath, { language }) -> Promise<string>
+ *
+ * Providers:
+ *   openai            - OpenAI Whisper API (whisper-1)
+ *   openai-compatible - any server speaking the OpenAI transcription API (TRANSCRIBE_BASE_URL)
+ *   local             - a local binary such as whisper.cpp or faster-whisper (TRANSCRIBE_COMMAND),
+ *                       fed a 16 kHz mono WAV made with ffmpeg; the transcript is read from stdout
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import OpenAI from 'openai';
+import { runCommand } from './run-command.js';
+
+/**
+ * OpenAI API or an OpenAI-compatible server (LocalAI, faster-whisper-server, Groq, ...)
+ */
+function createApiTranscriber({ name, apiKey, baseURL, model }) {
+    const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+    return {
+        name,
+        async transcribe(filePath, { language } = {}) {
+            const transcription = await client.audio.transcriptions.create({
+                file: fs.createReadStream(filePath),
+                model,
+                ...(language ? { language } : {})
+            });
+            return (transcription.text || '').trim();
+        }
+    };
+}
+
+/**
+ * Local binary - TRANSCRIBE_COMMAND is split on spaces, {input} and {language} are substituted
+ * e.g. "whisper-cli -m /models/ggml-base.bin -nt -np -l {language} -f {input}"
+ */
+function createLocalTranscriber({ command, timeoutMs }) {
+    const [binary, ...argTemplate] = command.trim().split(/\s+/);
+
+    return {
+        name: 'local',
+        async transcribe(filePath, { language } = {}) {
+            // whisper.cpp only reads 16 kHz WAV, so normalise every input first
+            const wavPath = path.join(os.tmpdir(), `transcribe_${Date.now()}_${process.pid}.wav`);
+            try {
+                await runCommand('ffmpeg', ['-y', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath]);
+                const args = argTemplate.map(arg => arg
+                    .replace('{input}', wavPath)
+                    .replace('{language}', language || 'auto'));
+                const output = await runCommand(binary, args, { timeoutMs });
+                // Drop whisper.cpp style timestamps if the binary still prints them
+                return output
+                    .split('\n')
+                    .map(line => line.replace(/^\s*\[[\d:.\s\->]+\]\s*/, '').trim())
+                    .filter(Boolean)
+                    .join(' ')
+                    .trim();
+            } finally {
+                fs.rmSync(wavPath, { force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Create the configured transcriber, or null if voice input is not configured
+ *
+ * @param {object} env - usually process.env
+ */
+export function createTranscriber(env) {
+    const provider = env.TRANSCRIBE_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : null);
+
+    if (provider === 'openai') {
+        if (!env.OPENAI_API_KEY) {
+            throw new Error('TRANSCRIBE_PROVIDER=openai requires OPENAI_API_KEY');
+        }
+        return createApiTranscriber({
+            name: 'openai',
+            apiKey: env.OPENAI_API_KEY,
+            model: env.TRANSCRIBE_MODEL || 'whisper-1'
+        });
+    }
+
+    if (provider === 'openai-compatible') {
+        if (!env.TRANSCRIBE_BASE_URL) {
+            throw new Error('TRANSCRIBE_PROVIDER=openai-compatible requires TRANSCRIBE_BASE_URL');
+        }
+        return createApiTranscriber({
+            name: 'openai-compatible',
+            // Many self-hosted servers ignore the key, but the client insists on one
+            apiKey: env.TRANSCRIBE_API_KEY || env.OPENAI_API_KEY || 'not-needed',
+            baseURL: env.TRANSCRIBE_BASE_URL,
+            model: env.TRANSCRIBE_MODEL || 'whisper-1'
+        });
+    }
+
+    if (provider === 'local') {
+        if (!env.TRANSCRIBE_COMMAND) {
+            throw new Error('TRANSCRIBE_PROVIDER=local requires TRANSCRIBE_COMMAND');
+        }
+        return createLocalTranscriber({
+            command: env.TRANSCRIBE_COMMAND,
+            timeoutMs: (parseInt(env.TRANSCRIBE_TIMEOUT_SECONDS) || 300) * 1000
+        });
+    }
+
+    if (provider) {
+        throw new Error(`Unknown TRANSCRIBE_PROVIDER: ${provider}`);
+    }
+    return null;
+}
@@ -8,46 +8,239 @@
  * 
  * Configuration:
  *   Set TELEGRAM_SYNC_URL environment variable (default: http://127.0.0.1:4097)
+ *   TELEGRAM_SYNC_SECRET - shared secret the bot checks request signatures with (same value as the bot's)
+ *   TELEGRAM_SYNC_TIMEOUT_MS - timeout of a request to the bot (default: 30000)
+ *   TELEGRAM_SYNC_OUTBOX - directory for posts waiting to be delivered
+ *                          (default: ~/.local/share/opencode/telegram-sync-outbox)
+ *
+ * Every post goes through an outbox on disk: it is written there first and removed once the
+ * bot has accepted it. If the bot is down, posts stay in the outbox (also across restarts) and
+ * are retried with backoff. Each post carries an Idempotency-Key header so a retry of a post
+ * the bot did handle is not handled twice. Posts of one session are delivered in order.
  */
 
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
 const SYNC_URL = process.env.TELEGRAM_SYNC_URL || 'http://127.0.0.1:4097';
+const SYNC_SECRET = process.env.TELEGRAM_SYNC_SECRET || '';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.TELEGRAM_SYNC_TIMEOUT_MS) || 30000;
+const OUTBOX_DIR = process.env.TELEGRAM_SYNC_OUTBOX ||
+    path.join(os.homedir(), '.local', 'share', 'opencode', 'telegram-sync-outbox');
+// Retry delays grow from 2 seconds to 5 minutes; posts older than a week are given up
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_POST_AGE_MS = 7 * 24 * 60 * 60 * 1000;
 
 // Track sessions we've created topics for
 const syncedSessions = new Map();
 
-// Track the last message we posted to avoid duplicates
-const lastPostedContent = new Map();
+// Last message synced per session (sessionId -> OpenCode message ID), as confirmed by the server
+const lastSyncedMessage = new Map();
+
+// Tool output sent along with a message is cut to this many characters (keeps the request small)
+const MAX_TOOL_OUTPUT = 4000;
+
+// Shared by all plugin instances in this process, created by the first one
+let outbox = null;
 
 /**
- * Main plugin export
+ * Durable outbox of posts to the bot
+ * Each post is a JSON file named so that sorting the names gives the order posts were made in
  */
-export const TelegramSyncPlugin = async ({ client, $, directory }) => {
-    // Use client.app.log for structured logging
-    await client.app.log({
-        body: {
-            service: "telegram-sync",
-            level: "info",
-            message: `Plugin initialized for ${directory}`,
+function createOutbox(log) {
+    // Posts not delivered yet, oldest first
+    const entries = [];
+    // In-memory callbacks of posts made by this process (entryId -> { onDelivered, onDropped })
+    const callbacks = new Map();
+    let sequence = 0;
+    let flushing = false;
+    let flushAgain = false;
+    let timer = null;
+    
+    const fileOf = (entry) => path.join(OUTBOX_DIR, `${entry.name}.json`);
+    
+    async function save(entry) {
+        const temporary = `${fileOf(entry)}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(entry));
+        await fs.rename(temporary, fileOf(entry));
+    }
+    
+    async function remove(entry) {
+        entries.splice(entries.indexOf(entry), 1);
+        callbacks.delete(entry.id);
+        await fs.unlink(fileOf(entry)).catch(() => {});
+    }
+    
+    // Load posts left over from earlier runs
+    const loaded = (async () => {
+        await fs.mkdir(OUTBOX_DIR, { recursive: true });
+        const names = (await fs.readdir(OUTBOX_DIR)).filter(name => name.endsWith('.json')).sort();
+        for (const name of names) {
+            try {
+                entries.push(JSON.parse(await fs.readFile(path.join(OUTBOX_DIR, name), 'utf8')));
+            } catch (error) {
+                await log('error', `Skipping unreadable outbox file ${name}: ${error.message}`);
+            }
+        }
+        if (entries.length > 0) {
+            await log('info', `${entries.length} post(s) waiting in the outbox`);
         }
-    });
+    })().catch(error => log('error', `Could not load outbox ${OUTBOX_DIR}: ${error.message}`));
     
     /**
-     * POST to sync endpoint using curl via $
+     * Send one post. Returns true when it is done with (delivered or given up)
      */
-    async function postSync(endpoint, data) {
+    async function deliver(entry) {
+        let status = null;
+        let result = null;
+        let failure;
         try {
-            const jsonData = JSON.stringify(data);
-            const result = await $`curl -s -X POST "${SYNC_URL}${endpoint}" -H "Content-Type: application/json" -d ${jsonData}`;
-            return JSON.parse(result.stdout.toString());
+            const url = new URL(`${SYNC_URL.replace(/\/+$/, '')}${entry.endpoint}`);
+            const body = JSON.stringify(entry.data);
+            // Signed anew on every attempt - the bot accepts each signature only once, within 5 minutes
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const signature = crypto.createHmac('sha256', SYNC_SECRET)
+                .update(`${timestamp}.POST.${url.pathname}.${body}`)
+                .digest('hex');
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': entry.id,
+                    'X-OpenTelegram-Timestamp': timestamp,
+                    'X-OpenTelegram-Signature': `sha256=${signature}`
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            status = response.status;
+            result = await response.json().catch(() => null);
+            failure = `HTTP ${status}${result?.error ? `: ${result.error}` : ''}`;
         } catch (error) {
+            failure = error.name === 'TimeoutError' ? `timed out after ${REQUEST_TIMEOUT_MS}ms` : error.message;
+        }
+        
+        if (status >= 200 && status < 300) {
+            const { onDelivered } = callbacks.get(entry.id) || {};
+            await remove(entry);
+            onDelivered?.(result || {});
+            return true;
+        }
+        
+        // Other 4xx answers won't change on a retry
+        const retryable = status === null || status >= 500 || status === 408 || status === 429;
+        if (!retryable || Date.now() - entry.createdAt > MAX_POST_AGE_MS) {
+            await log('error', `Giving up on POST ${entry.endpoint} after ${entry.attempts + 1} attempt(s): ${failure}`);
+            const { onDropped } = callbacks.get(entry.id) || {};
+            await remove(entry);
+            onDropped?.();
+            return true;
+        }
+        
+        entry.attempts++;
+        const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (entry.attempts - 1)) + Math.floor(Math.random() * 1000);
+        entry.nextAttemptAt = Date.now() + delay;
+        await save(entry).catch(() => {});
+        await log('warn', `POST ${entry.endpoint} failed (${failure}), retrying in ${Math.round(delay / 1000)}s`);
+        return false;
+    }
+    
+    // Deliver everything that is due; a session's posts wait while an earlier one is pending
+    async function flush() {
+        if (flushing) {
+            flushAgain = true;
+            return;
+        }
+        flushing = true;
+        clearTimeout(timer);
+        try {
+            await loaded;
+            do {
+                flushAgain = false;
+                const blocked = new Set();
+                for (const entry of [...entries]) {
+                    if (blocked.has(entry.sessionId)) continue;
+                    if (entry.nextAttemptAt > Date.now() || !await deliver(entry)) {
+                        blocked.add(entry.sessionId);
+                    }
+                }
+            } while (flushAgain);
+        } finally {
+            flushing = false;
+            if (entries.length > 0) {
+                const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+                timer = setTimeout(flush, Math.max(0, next - Date.now()));
+                timer.unref?.();
+            }
+        }
+    }
+    
+    flush();
+    
+    return {
+        /**
+         * Queue a POST for delivery. onDelivered(result) runs once the bot accepted it,
+         * onDropped() if it was given up (neither runs for posts from an earlier run)
+         */
+        async post(sessionId, endpoint, data, { onDelivered, onDropped } = {}) {
+            await loaded;
+            const id = crypto.randomUUID();
+            const entry = {
+                id,
+                name: `${String(Date.now()).padStart(14, '0')}-${String(sequence++).padStart(6, '0')}-${id}`,
+                sessionId,
+                endpoint,
+                data,
+                attempts: 0,
+                createdAt: Date.now(),
+                nextAttemptAt: 0
+            };
+            try {
+                await save(entry);
+            } catch (error) {
+                // Still deliver it from memory, it just won't survive a restart
+                await log('error', `Could not write to outbox ${OUTBOX_DIR}: ${error.message}`);
+            }
+            entries.push(entry);
+            callbacks.set(id, { onDelivered, onDropped });
+            flush();
+        }
+    };
+}
+
+/**
+ * Main plugin export
+ */
+export const TelegramSyncPlugin = async ({ client, directory }) => {
+    // Use client.app.log for structured logging
+    async function log(level, message) {
+        try {
             await client.app.log({
                 body: {
                     service: "telegram-sync",
-                    level: "error",
-                    message: `POST ${endpoint} failed: ${error.message}`,
+                    level,
+                    message,
                 }
             });
-            return null;
+        } catch (error) {
+            // Logging must never break syncing
+        }
+    }
+    
+    await log('info', `Plugin initialized for ${directory}`);
+    if (!SYNC_SECRET) {
+        await log('warn', 'TELEGRAM_SYNC_SECRET is not set - the bot will reject sync posts');
+    }
+    
+    outbox = outbox || createOutbox(log);
+    
+    // Move the session's cursor forward (never back, results can arrive after newer posts were made)
+    function advanceCursor(sessionId, messageId) {
+        if (messageId && messageId > (lastSyncedMessage.get(sessionId) || '')) {
+            lastSyncedMessage.set(sessionId, messageId);
         }
     }
     
@@ -56,8 +249,8 @@ export const TelegramSyncPlugin = async ({ client, $, directory }) => {
      */
     async function getSessionMessages(sessionId) {
         try {
-            const result = await client.message.list({ sessionId });
-            return result?.messages || [];
+            const result = await client.session.messages({ path: { id: sessionId } });
+            return Array.isArray(result?.data) ? result.data : [];
         } catch (error) {
             return [];
         }
@@ -78,140 +271,106 @@ export const TelegramSyncPlugin = async ({ client, $, directory }) => {
     }
     
     /**
-     * Get the latest user prompt and assistant response pair
+     * Messages after the session's last synced one, up to the first that is still being generated
+     * OpenCode message IDs sort in creation order
      */
-    function getLatestExchange(messages) {
-        let lastUserIdx = -1;
-        let lastAssistantIdx = -1;
-        
-        for (let i = messages.length - 1; i >= 0; i--) {
-            const msg = messages[i];
-            if (msg.role === 'assistant' && lastAssistantIdx === -1) {
-                lastAssistantIdx = i;
-            }
-            if (msg.role === 'user' && lastAssistantIdx !== -1) {
-                lastUserIdx = i;
-                break;
-            }
-        }
-        
-        if (lastUserIdx === -1 || lastAssistantIdx === -1) {
-            return null;
+    function getNewMessages(sessionId, messages) {
+        const cursor = lastSyncedMessage.get(sessionId) || '';
+        const newMessages = [];
+        for (const message of messages) {
+            if (message.info.id <= cursor) continue;
+            if (message.info.role === 'assistant' && !message.info.time?.completed && !message.info.error) break;
+            newMessages.push(message);
         }
-        
-        return {
-            userMessage: messages[lastUserIdx],
-            assistantMessage: messages[lastAssistantIdx]
-        };
+        return newMessages;
+    }
+    
+    /**
+     * The parts of a message the topic shows (text, attachments, tool calls), with long tool output cut
+     */
+    function toSyncMessage(message) {
+        const parts = (message.parts || [])
+            .filter(part => ['text', 'file', 'tool'].includes(part.type))
+            .map(part => {
+                if (part.type !== 'tool' || (part.state?.output || '').length <= MAX_TOOL_OUTPUT) return part;
+                return { ...part, state: { ...part.state, output: part.state.output.slice(0, MAX_TOOL_OUTPUT) } };
+            });
+        return { info: message.info, parts };
     }
     
     return {
         event: async ({ event }) => {
             // Log ALL events to see what's coming through
-            await client.app.log({
-                body: {
-                    service: "telegram-sync",
-                    level: "debug",
-                    message: `Event received: ${event.type}`,
-                }
-            });
+            await log('debug', `Event received: ${event.type}`);
             
             // Handle session.created
             if (event.type === 'session.created') {
-                const session = event.properties?.session;
+                const session = event.properties?.info;
                 if (!session) return;
                 
-                await client.app.log({
-                    body: {
-                        service: "telegram-sync",
-                        level: "info",
-                        message: `Session created: ${session.id}`,
-                    }
-                });
+                await log('info', `Session created: ${session.id}`);
                 
                 syncedSessions.set(session.id, { topicId: null, pending: true });
             }
             
-            // Handle session.idle - post the latest exchange to Telegram
+            // Handle session.idle - post everything new in the session to Telegram
             if (event.type === 'session.idle') {
-                const sessionId = event.properties?.sessionId || event.properties?.session?.id;
+                const sessionId = event.properties?.sessionID;
                 if (!sessionId) return;
                 
-                await client.app.log({
-                    body: {
-                        service: "telegram-sync",
-                        level: "info",
-                        message: `Session idle: ${sessionId}`,
-                    }
-                });
+                await log('info', `Session idle: ${sessionId}`);
                 
                 // Get messages for this session
                 const messages = await getSessionMessages(sessionId);
                 if (messages.length === 0) return;
                 
-                const exchange = getLatestExchange(messages);
-                if (!exchange) return;
-                
-                const userContent = extractMessageContent(exchange.userMessage);
-                const assistantContent = extractMessageContent(exchange.assistantMessage);
-                
-                if (!userContent && !assistantContent) return;
-                
-                // Check if we already posted this exact content (dedup)
-                const lastPosted = lastPostedContent.get(sessionId);
-                if (lastPosted && 
-                    lastPosted.userContent === userContent && 
-                    lastPosted.assistantContent === assistantContent) {
-                    return;
-                }
-                
-                // Get or create topic
+                // Get or create topic (a new topic is backfilled with the history by the server)
                 let syncState = syncedSessions.get(sessionId);
                 
-                if (!syncState || !syncState.topicId) {
-                    const topicName = userContent.slice(0, 50) || 'OpenCode Session';
+                if (!syncState || !syncState.topicRequested) {
+                    const firstPrompt = messages.find(message => message.info.role === 'user');
+                    if (!firstPrompt) return;
+                    const topicName = extractMessageContent(firstPrompt).slice(0, 50) || 'OpenCode Session';
                     
-                    await client.app.log({
-                        body: {
-                            service: "telegram-sync",
-                            level: "info",
-                            message: `Creating topic: "${topicName}"`,
-                        }
-                    });
+                    await log('info', `Creating topic: "${topicName}"`);
                     
-                    const result = await postSync('/sync/session', {
+                    syncState = { topicId: null, topicRequested: true };
+                    syncedSessions.set(sessionId, syncState);
+                    await outbox.post(sessionId, '/sync/session', {
                         sessionId,
                         title: topicName,
                         directory
+                    }, {
+                        onDelivered: (result) => {
+                            syncState.topicId = result.topicId;
+                            advanceCursor(sessionId, result.lastMessageId);
+                        },
+                        onDropped: () => {
+                            syncState.topicRequested = false;
+                        }
                     });
-                    
-                    if (result && result.topicId) {
-                        syncState = { topicId: result.topicId };
-                        syncedSessions.set(sessionId, syncState);
-                    } else {
-                        return;
-                    }
                 }
                 
-                // Post the message exchange to the topic
-                await postSync('/sync/message', {
+                // Post every message since the last synced one (the server skips any it already has)
+                const newMessages = getNewMessages(sessionId, messages);
+                if (newMessages.length === 0) return;
+                
+                advanceCursor(sessionId, newMessages[newMessages.length - 1].info.id);
+                await outbox.post(sessionId, '/sync/message', {
                     sessionId,
-                    topicId: syncState.topicId,
-                    userContent,
-                    assistantContent,
-                    messageId: exchange.assistantMessage.id
+                    directory,
+                    messages: newMessages.map(toSyncMessage)
+                }, {
+                    onDelivered: (result) => advanceCursor(sessionId, result.lastMessageId)
                 });
-                
-                // Track what we posted to avoid duplicates
-                lastPostedContent.set(sessionId, { userContent, assistantContent });
             }
             
             // Handle session.deleted - clean up
             if (event.type === 'session.deleted') {
-                const sessionId = event.properties?.sessionId;
+                const sessionId = event.properties?.info?.id;
                 if (sessionId) {
                     syncedSessions.delete(sessionId);
-                    lastPostedContent.delete(sessionId);
+                    lastSyncedMessage.delete(sessionId);
                 }
             }
         }
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiSessionAccess } from '../lib/api-sessions.js';
+
+// Requests as lib/request-auth.js leaves them
+const ci = { apiClient: 'ci', apiScopes: ['chat', 'sessions'] };
+const dashboard = { apiClient: 'dashboard', apiScopes: ['sessions'] };
+const admin = { apiClient: 'admin', apiScopes: ['*'] };
+const signed = { apiClient: 'signed', apiScopes: ['*'] };
+
+test('a token can only use the sessions it created', () => {
+    const access = createApiSessionAccess(new Map());
+    access.remember(ci, 'ses_ci');
+
+    assert.equal(access.canUse(ci, 'ses_ci'), true);
+    // Someone's Telegram session, or another token's
+    assert.equal(access.canUse(ci, 'ses_telegram'), false);
+    assert.equal(access.canUse(dashboard, 'ses_ci'), false);
+});
+
+test('tokens with the * scope and signed requests can use any session', () => {
+    const access = createApiSessionAccess(new Map());
+    assert.equal(access.canUse(admin, 'ses_telegram'), true);
+    assert.equal(access.canUse(signed, 'ses_telegram'), true);
+    assert.equal(access.hasFullAccess(ci), false);
+});
+
+test('a conversation key does not grant access to the session it names', () => {
+    const access = createApiSessionAccess(new Map());
+    access.pinConversation(ci, 'ses_telegram', 'ses_ci');
+
+    assert.equal(access.conversation(ci, 'ses_telegram'), 'ses_ci');
+    assert.equal(access.canUse(ci, 'ses_telegram'), false);
+    assert.equal(access.conversation(dashboard, 'ses_telegram'), null);
+});
+
+test('session lists only show what the token may use', () => {
+    const access = createApiSessionAccess(new Map());
+    access.remember(ci, 'ses_ci');
+    const sessions = [{ id: 'ses_telegram' }, { id: 'ses_ci' }];
+
+    assert.deepEqual(access.visible(ci, sessions), [{ id: 'ses_ci' }]);
+    assert.deepEqual(access.visible(dashboard, sessions), []);
+    assert.deepEqual(access.visible(admin, sessions), sessions);
+});
+
+test('ownership is kept in the given map, so it survives restarts with the state store', () => {
+    const conversations = new Map();
+    createApiSessionAccess(conversations).remember(ci, 'ses_ci');
+    assert.equal(createApiSessionAccess(conversations).canUse(ci, 'ses_ci'), true);
+});
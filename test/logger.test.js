@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, withLogContext } from '../lib/logger.js';
+
+// Lines a logger writes to stdout while fn runs
+function captureStdout(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = (chunk) => { lines.push(String(chunk)); return true; };
+    try {
+        fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return lines.map(line => JSON.parse(line));
+}
+
+test('user content is logged as its length', () => {
+    const log = createLogger({ format: 'json', component: 'sync' });
+    const [entry] = captureStdout(() => log.info('Created sync topic', { title: 'Fix the login bug', text: 'hello', topicId: 12 }));
+
+    assert.equal(entry.title, '[17 chars]');
+    assert.equal(entry.text, '[5 chars]');
+    assert.equal(entry.topicId, 12);
+    assert.equal(entry.component, 'sync');
+});
+
+test('redaction can be turned off, but secrets stay masked', () => {
+    const log = createLogger({ format: 'json', redact: false });
+    const [entry] = captureStdout(() => log.info('Request', {
+        title: 'Fix the login bug',
+        apiKey: 'sk-abc',
+        url: 'https://api.telegram.org/bot123456:ABCDEFGHIJKLMNOPQRSTUVWXYZabcdef123/sendMessage'
+    }));
+
+    assert.equal(entry.title, 'Fix the login bug');
+    assert.equal(entry.apiKey, '[redacted]');
+    assert.equal(entry.url, 'https://api.telegram.org/bot[bot-token]/sendMessage');
+});
+
+test('context fields are added to every entry and levels below the threshold are dropped', () => {
+    const log = createLogger({ format: 'json', level: 'info' });
+    const entries = captureStdout(() => withLogContext({ cid: 'abc123' }, () => {
+        log.debug('hidden');
+        log.info('shown');
+    }));
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].msg, 'shown');
+    assert.equal(entries[0].cid, 'abc123');
+});
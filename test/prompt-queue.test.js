@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createPromptQueue, QueueCancelledError, QueueFullError } from '../lib/prompt-queue.js';
+
+// A task that runs until release() is called
+function deferred() {
+    let release;
+    const promise = new Promise(resolve => { release = resolve; });
+    return { run: () => promise, release };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('tasks of one session run one at a time, in order', async () => {
+    const queue = createPromptQueue({ concurrency: 4, maxQueuedPerChat: 5 });
+    const order = [];
+    const first = deferred();
+
+    const results = [
+        queue.run('s1', 1, async () => { order.push('first start'); const value = await first.run(); order.push('first end'); return value; }),
+        queue.run('s1', 1, async () => { order.push('second'); return 2; }),
+        queue.run('s1', 1, async () => { order.push('third'); return 3; })
+    ];
+    await tick();
+    assert.deepEqual(order, ['first start']);
+    assert.deepEqual(queue.stats(), { running: 1, waiting: 2 });
+
+    first.release(1);
+    assert.deepEqual(await Promise.all(results), [1, 2, 3]);
+    assert.deepEqual(order, ['first start', 'first end', 'second', 'third']);
+    assert.deepEqual(queue.stats(), { running: 0, waiting: 0 });
+});
+
+test('sessions run in parallel up to the concurrency limit', async () => {
+    const queue = createPromptQueue({ concurrency: 2, maxQueuedPerChat: 5 });
+    const a = deferred();
+    const b = deferred();
+    let thirdStarted = false;
+
+    const results = [
+        queue.run('a', 1, a.run),
+        queue.run('b', 2, b.run),
+        queue.run('c', 3, async () => { thirdStarted = true; return 'c'; })
+    ];
+    await tick();
+    assert.deepEqual(queue.stats(), { running: 2, waiting: 1 });
+    assert.equal(thirdStarted, false);
+
+    b.release('b');
+    await tick();
+    assert.equal(thirdStarted, true);
+
+    a.release('a');
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+});
+
+test('waiting tasks are told their position', async () => {
+    const queue = createPromptQueue({ concurrency: 4, maxQueuedPerChat: 5 });
+    const first = deferred();
+    const events = [];
+
+    const results = [
+        queue.run('s1', 1, first.run, { onQueued: (position) => events.push(`started right away at ${position}`) }),
+        queue.run('s1', 1, async () => {}, {
+            onQueued: (position) => events.push(`second queued #${position}`),
+            onPositionChange: (position) => events.push(`second now #${position}`),
+            onStart: () => events.push('second started')
+        }),
+        queue.run('s1', 1, async () => {}, {
+            onQueued: (position) => events.push(`third queued #${position}`),
+            onPositionChange: (position) => events.push(`third now #${position}`)
+        })
+    ];
+
+    first.release();
+    await Promise.all(results);
+    assert.deepEqual(events, ['second queued #2', 'third queued #3', 'third now #2', 'second started']);
+});
+
+test('a chat can only have a limited number of tasks waiting', async () => {
+    const queue = createPromptQueue({ concurrency: 1, maxQueuedPerChat: 1 });
+    const first = deferred();
+
+    const running = queue.run('s1', 1, first.run);
+    const waiting = queue.run('s1', 1, async () => 'waited');
+    await assert.rejects(queue.run('s1', 1, async () => {}), (error) => error instanceof QueueFullError && error.limit === 1);
+    assert.equal(queue.waitingForChat(1), 1);
+
+    // Other chats have their own limit
+    const otherChat = queue.run('s2', 2, async () => 'other');
+
+    first.release('ran');
+    assert.deepEqual(await Promise.all([running, waiting, otherChat]), ['ran', 'waited', 'other']);
+});
+
+test('cancelWaiting drops waiting tasks but leaves the running one', async () => {
+    const queue = createPromptQueue({ concurrency: 4, maxQueuedPerChat: 5 });
+    const first = deferred();
+    let cancelledRan = false;
+
+    const running = queue.run('s1', 1, first.run);
+    const cancelled = [
+        queue.run('s1', 1, async () => { cancelledRan = true; }),
+        queue.run('s1', 1, async () => { cancelledRan = true; })
+    ];
+    await tick();
+
+    assert.equal(queue.cancelWaiting('s1'), 2);
+    assert.equal(queue.cancelWaiting('unknown'), 0);
+    for (const result of cancelled) {
+        await assert.rejects(result, QueueCancelledError);
+    }
+    assert.deepEqual(queue.stats(), { running: 1, waiting: 0 });
+
+    first.release('done');
+    assert.equal(await running, 'done');
+    assert.equal(cancelledRan, false);
+
+    // The session takes new tasks afterwards
+    assert.equal(await queue.run('s1', 1, async () => 'again'), 'again');
+});
+
+test('a failing task rejects its caller and frees the session', async () => {
+    const queue = createPromptQueue({ concurrency: 1, maxQueuedPerChat: 5 });
+
+    const failing = queue.run('s1', 1, async () => { throw new Error('boom'); });
+    const next = queue.run('s1', 1, async () => 'next');
+
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'next');
+});
+
+test('tasks run in the async context of the caller that queued them', async () => {
+    const queue = createPromptQueue({ concurrency: 1, maxQueuedPerChat: 5 });
+    const context = new AsyncLocalStorage();
+    const first = deferred();
+
+    const running = context.run('first', () => queue.run('s1', 1, async () => { await first.run(); return context.getStore(); }));
+    const waiting = context.run('second', () => queue.run('s1', 1, async () => context.getStore()));
+
+    first.release();
+    assert.deepEqual(await Promise.all([running, waiting]), ['first', 'second']);
+});
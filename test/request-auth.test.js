@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger } from '../lib/logger.js';
+import { createRequestAuth, parseApiTokens, signRequest, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../lib/request-auth.js';
+
+const log = createLogger({ level: 'silent' });
+const SECRET = 'test-secret';
+
+// Just enough of an Express request and response for the middleware
+function fakeRequest({ method = 'POST', url = '/sync/session', headers = {}, rawBody = '' } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { method, originalUrl: url, rawBody, ip: '127.0.0.1', get: (name) => lower[name.toLowerCase()] };
+}
+
+function run(middleware, req) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+function signedHeaders(method, path, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return {
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signRequest(SECRET, timestamp, method, path, body)
+    };
+}
+
+test('parseApiTokens reads names, tokens and scopes', () => {
+    assert.deepEqual(parseApiTokens('ci:abc:chat+sessions, admin:def'), [
+        { name: 'ci', token: 'abc', scopes: ['chat', 'sessions'] },
+        { name: 'admin', token: 'def', scopes: ['*'] }
+    ]);
+    assert.deepEqual(parseApiTokens(''), []);
+    assert.throws(() => parseApiTokens('nameonly'), /expected name:token:scopes/);
+});
+
+test('requireSignature accepts a signed request once', () => {
+    const auth = createRequestAuth({ secret: SECRET, log });
+    const body = '{"hello":"world"}';
+    const headers = signedHeaders('POST', '/sync/session', body);
+
+    assert.equal(run(auth.requireSignature, fakeRequest({ headers, rawBody: body })).passed, true);
+
+    const replay = run(auth.requireSignature, fakeRequest({ headers, rawBody: body }));
+    assert.equal(replay.passed, false);
+    assert.equal(replay.res.statusCode, 401);
+    assert.equal(replay.res.body.error, 'replayed request');
+});
+
+test('requireSignature rejects tampered, stale and unsigned requests', () => {
+    const auth = createRequestAuth({ secret: SECRET, log });
+
+    const tampered = run(auth.requireSignature, fakeRequest({
+        headers: signedHeaders('POST', '/sync/session', '{"a":1}'),
+        rawBody: '{"a":2}'
+    }));
+    assert.equal(tampered.res.body.error, 'invalid signature');
+
+    const stale = run(auth.requireSignature, fakeRequest({
+        headers: signedHeaders('POST', '/sync/session', '', Math.floor(Date.now() / 1000) - 3600)
+    }));
+    assert.equal(stale.res.body.error, 'timestamp outside the allowed window');
+
+    const unsigned = run(auth.requireSignature, fakeRequest());
+    assert.equal(unsigned.res.body.error, 'missing signature');
+});
+
+test('requireSignature answers 503 without a secret', () => {
+    const auth = createRequestAuth({ log });
+    const { passed, res } = run(auth.requireSignature, fakeRequest());
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 503);
+});
+
+test('requireScope checks API tokens and their scopes', () => {
+    const auth = createRequestAuth({ tokens: parseApiTokens('ci:ci-token:chat,ops:ops-token:*'), log });
+    const bearer = (token) => fakeRequest({ method: 'GET', url: '/api/sessions', headers: { Authorization: `Bearer ${token}` } });
+
+    const allowed = bearer('ci-token');
+    assert.equal(run(auth.requireScope('chat'), allowed).passed, true);
+    assert.equal(allowed.apiClient, 'ci');
+    assert.deepEqual(allowed.apiScopes, ['chat']);
+
+    const wrongScope = run(auth.requireScope('sessions'), bearer('ci-token'));
+    assert.equal(wrongScope.res.statusCode, 403);
+
+    assert.equal(run(auth.requireScope('metrics'), bearer('ops-token')).passed, true);
+    assert.equal(run(auth.requireScope('chat'), bearer('nope')).res.statusCode, 401);
+    assert.equal(run(auth.requireScope('chat'), fakeRequest()).res.statusCode, 401);
+});
+
+test('requireScope accepts signed requests with full access', () => {
+    const auth = createRequestAuth({ secret: SECRET, log });
+    const req = fakeRequest({ method: 'GET', url: '/api/sessions?limit=5', headers: signedHeaders('GET', '/api/sessions', '') });
+
+    assert.equal(run(auth.requireScope('sessions'), req).passed, true);
+    assert.equal(req.apiClient, 'signed');
+    assert.deepEqual(req.apiScopes, ['*']);
+});
+
+test('requireScope answers 503 when nothing is configured', () => {
+    const auth = createRequestAuth({ log });
+    assert.equal(run(auth.requireScope('chat'), fakeRequest()).res.statusCode, 503);
+});
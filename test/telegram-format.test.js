@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, formatMarkdownChunks, markdownToTelegramHtml, splitMarkdown } from '../lib/telegram-format.js';
+
+test('escapeHtml escapes the characters Telegram HTML reserves', () => {
+    assert.equal(escapeHtml('a < b && c > d'), 'a &lt; b &amp;&amp; c &gt; d');
+});
+
+test('markdownToTelegramHtml converts inline formatting', () => {
+    assert.equal(
+        markdownToTelegramHtml('Some **bold**, *italic*, ~~struck~~ and ||hidden|| text'),
+        'Some <b>bold</b>, <i>italic</i>, <s>struck</s> and <tg-spoiler>hidden</tg-spoiler> text'
+    );
+    assert.equal(markdownToTelegramHtml('Run `a<b && *c*`'), 'Run <code>a&lt;b &amp;&amp; *c*</code>');
+});
+
+test('markdownToTelegramHtml only links safe URLs', () => {
+    assert.equal(
+        markdownToTelegramHtml('[docs](https://example.com/?a=1&b=2)'),
+        '<a href="https://example.com/?a=1&amp;b=2">docs</a>'
+    );
+    assert.equal(markdownToTelegramHtml('[x](javascript:alert(1))'), '[x](javascript:alert(1))');
+});
+
+test('markdownToTelegramHtml converts block elements', () => {
+    assert.equal(markdownToTelegramHtml('## Result'), '<b>Result</b>');
+    assert.equal(markdownToTelegramHtml('- a\n  - b\n- [x] done\n- [ ] todo\n1) one'), '• a\n  • b\n☑ done\n☐ todo\n1. one');
+    assert.equal(markdownToTelegramHtml('> quoted *text*\n> more'), '<blockquote>quoted <i>text</i>\nmore</blockquote>');
+    assert.equal(markdownToTelegramHtml('| a | b |\n|---|---|\n| 1 | 22 |'), '<pre>a  b\n-  --\n1  22</pre>');
+    assert.equal(markdownToTelegramHtml('---'), '──────────');
+});
+
+test('markdownToTelegramHtml keeps code blocks verbatim', () => {
+    assert.equal(
+        markdownToTelegramHtml('```js\nif (a < b) { **not bold** }\n```'),
+        '<pre><code class="language-js">if (a &lt; b) { **not bold** }</code></pre>'
+    );
+    // A streamed reply can stop inside a code block
+    assert.equal(markdownToTelegramHtml('```\nstill open'), '<pre>still open</pre>');
+});
+
+test('markdownToTelegramHtml leaves unpaired markers as text', () => {
+    assert.equal(markdownToTelegramHtml('2 * 3 = 6 and snake_case_name'), '2 * 3 = 6 and snake_case_name');
+    assert.equal(markdownToTelegramHtml('<script>'), '&lt;script&gt;');
+});
+
+test('splitMarkdown keeps short text whole and prefers line breaks', () => {
+    assert.deepEqual(splitMarkdown('short', 100), ['short']);
+
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n');
+    const chunks = splitMarkdown(lines, 60);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 60);
+        assert.match(chunk, /^line \d+/);
+        assert.match(chunk, /line \d+$/);
+    }
+    assert.equal(chunks.join('\n'), lines);
+});
+
+test('splitMarkdown closes and reopens a code block cut in two', () => {
+    const code = Array.from({ length: 20 }, (_, i) => `const value${i} = ${i};`).join('\n');
+    const chunks = splitMarkdown(`Intro\n\`\`\`js\n${code}\n\`\`\``, 200);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 200);
+        const fences = chunk.split('\n').filter(line => line.startsWith('```'));
+        assert.equal(fences.length % 2, 0, `unbalanced fences in ${JSON.stringify(chunk)}`);
+    }
+    assert.match(chunks[1], /^```js\n/);
+});
+
+test('formatMarkdownChunks returns HTML that fits in a message', () => {
+    const markdown = Array.from({ length: 400 }, () => '<b> & </b>').join('\n');
+    const chunks = formatMarkdownChunks(markdown, 4000);
+
+    assert.ok(chunks.length > 1);
+    for (const { text, html } of chunks) {
+        assert.ok(html.length <= 4096);
+        assert.equal(html, markdownToTelegramHtml(text));
+    }
+});
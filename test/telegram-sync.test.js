@@ -0,0 +1,106 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Stands in for the bot's /sync endpoints; respond(request) decides the answer to each post
+const received = [];
+let respond = () => ({ status: 200, body: { topicId: 7 } });
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const request = {
+            path: req.url,
+            key: req.headers['idempotency-key'],
+            signature: req.headers['x-opentelegram-signature'],
+            body: JSON.parse(body)
+        };
+        received.push(request);
+        const { status, body: answer } = respond(request);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(answer));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// The plugin reads its configuration when it is loaded
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-sync-outbox-'));
+process.env.TELEGRAM_SYNC_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.TELEGRAM_SYNC_SECRET = 'test-secret';
+process.env.TELEGRAM_SYNC_OUTBOX = outboxDir;
+const { TelegramSyncPlugin } = await import('../plugins/telegram-sync.js');
+
+after(() => {
+    server.close();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+});
+
+// An OpenCode client with one session's messages
+function fakeClient(messages) {
+    return {
+        app: { log: async () => {} },
+        session: { messages: async () => ({ data: messages }) }
+    };
+}
+
+function conversation(sessionID, prompt) {
+    return [
+        { info: { id: 'msg_001', sessionID, role: 'user', time: { created: 1 } }, parts: [{ type: 'text', text: prompt }] },
+        { info: { id: 'msg_002', sessionID, role: 'assistant', time: { created: 2, completed: 3 } }, parts: [{ type: 'text', text: 'Done.' }] }
+    ];
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error('timed out waiting for the plugin');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('session events shaped like the SDK sends them are synced to the bot', async () => {
+    const sessionID = 'ses_created';
+    const hooks = await TelegramSyncPlugin({ client: fakeClient(conversation(sessionID, 'Fix the build')), directory: '/work' });
+
+    await hooks.event({ event: { type: 'session.created', properties: { info: { id: sessionID, title: 'New session' } } } });
+    await hooks.event({ event: { type: 'session.idle', properties: { sessionID } } });
+    await waitFor(() => received.filter(request => request.body.sessionId === sessionID).length === 2);
+
+    const [topic, messages] = received.filter(request => request.body.sessionId === sessionID);
+    assert.equal(topic.path, '/sync/session');
+    assert.deepEqual(topic.body, { sessionId: sessionID, title: 'Fix the build', directory: '/work' });
+    assert.match(topic.signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(messages.path, '/sync/message');
+    assert.deepEqual(messages.body.messages.map(message => message.info.id), ['msg_001', 'msg_002']);
+});
+
+test('the outbox retries a failed post with the same idempotency key and keeps the session in order', async () => {
+    const sessionID = 'ses_retried';
+    let failures = 0;
+    respond = (request) => {
+        if (request.body.sessionId === sessionID && request.path === '/sync/session' && failures === 0) {
+            failures++;
+            return { status: 503, body: { error: 'bot is restarting' } };
+        }
+        return { status: 200, body: { topicId: 8 } };
+    };
+    const hooks = await TelegramSyncPlugin({ client: fakeClient(conversation(sessionID, 'Add tests')), directory: '/work' });
+
+    await hooks.event({ event: { type: 'session.idle', properties: { sessionID } } });
+    // The first retry comes 2-3 seconds after the failure
+    await waitFor(() => received.filter(request => request.body.sessionId === sessionID).length === 3);
+
+    const posts = received.filter(request => request.body.sessionId === sessionID);
+    assert.deepEqual(posts.map(request => request.path), ['/sync/session', '/sync/session', '/sync/message']);
+    assert.equal(posts[1].key, posts[0].key);
+    assert.notEqual(posts[2].key, posts[0].key);
+    // A retry is signed anew, the bot accepts each signature only once
+    assert.notEqual(posts[1].signature, posts[0].signature);
+
+    // Delivered posts are removed from the outbox
+    await waitFor(() => fs.readdirSync(outboxDir).length === 0);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { validateInitData } from '../lib/telegram-webapp.js';
+
+const BOT_TOKEN = '123456:test-bot-token';
+
+// Sign fields the way Telegram does (see lib/telegram-webapp.js)
+function signInitData(fields, botToken = BOT_TOKEN) {
+    const params = new URLSearchParams(fields);
+    const dataCheckString = [...params.entries()]
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const user = { id: 42, first_name: 'Ada' };
+
+test('validateInitData returns the fields of valid initData', () => {
+    const authDate = now();
+    const data = validateInitData(signInitData({ user: JSON.stringify(user), auth_date: String(authDate), query_id: 'AAE' }), BOT_TOKEN);
+
+    assert.deepEqual(data.user, user);
+    assert.equal(data.auth_date, authDate);
+    assert.equal(data.query_id, 'AAE');
+    assert.equal(data.hash, undefined);
+});
+
+test('validateInitData rejects data signed for another bot', () => {
+    const initData = signInitData({ user: JSON.stringify(user), auth_date: String(now()) }, '654321:other-bot');
+    assert.equal(validateInitData(initData, BOT_TOKEN), null);
+});
+
+test('validateInitData rejects changed fields', () => {
+    const initData = signInitData({ user: JSON.stringify(user), auth_date: String(now()) });
+    const tampered = initData.replace(encodeURIComponent('"id":42'), encodeURIComponent('"id":1'));
+    assert.notEqual(tampered, initData);
+    assert.equal(validateInitData(tampered, BOT_TOKEN), null);
+});
+
+test('validateInitData rejects old logins', () => {
+    const initData = signInitData({ user: JSON.stringify(user), auth_date: String(now() - 2 * 60 * 60) });
+    assert.equal(validateInitData(initData, BOT_TOKEN, { maxAgeSeconds: 60 * 60 }), null);
+    assert.notEqual(validateInitData(initData, BOT_TOKEN), null);
+});
+
+test('validateInitData rejects missing or malformed input', () => {
+    assert.equal(validateInitData('', BOT_TOKEN), null);
+    assert.equal(validateInitData(signInitData({ auth_date: String(now()) }), ''), null);
+    assert.equal(validateInitData(`auth_date=${now()}`, BOT_TOKEN), null);
+    assert.equal(validateInitData(`auth_date=${now()}&hash=not-hex`, BOT_TOKEN), null);
+    assert.equal(validateInitData(signInitData({ user: '{not json', auth_date: String(now()) }), BOT_TOKEN), null);
+    assert.equal(validateInitData(signInitData({ user: JSON.stringify(user) }), BOT_TOKEN), null);
+});